@@ -1,65 +1,27 @@
-const { CloudTasksClient } = require('@google-cloud/tasks');
+const taskQueueService = require('./services/taskQueueService');
 
-class GCloudService {
-  constructor() {
-    this.tasksClient = new CloudTasksClient();
-  }
-
-  async queueTraitTasks(rawResults, projectId, modelFileName, type) {
-    const {
-      GCLOUD_PROJECT,
-      GCLOUD_LOCATION,
-      GCLOUD_QUEUE_TRAITS,
-      ML_CALLBACK_BASE,
-      GCLOUD_SERVICE_ACCOUNT_EMAIL,
-    } = process.env;
-    console.log(  GCLOUD_PROJECT,
-        GCLOUD_LOCATION,
-        GCLOUD_QUEUE_TRAITS,
-        ML_CALLBACK_BASE,
-        GCLOUD_SERVICE_ACCOUNT_EMAIL,)
+// Where the ML function reports predictions back, unless ML_CALLBACK_BASE names another deployment
+const DEFAULT_CALLBACK_BASE = 'https://hunchgenaitest-320866101884.us-central1.run.app';
 
-    const parent = this.tasksClient.queuePath(
-      GCLOUD_PROJECT,
-      GCLOUD_LOCATION,
-      GCLOUD_QUEUE_TRAITS
-    );
+class GCloudService {
+  async queueTraitTasks(rawResults, projectId, modelFileName, type, runId) {
+    // The ML function only echoes back its known fields, so the run id rides on the callback URL
+    const callbackBase = (process.env.ML_CALLBACK_BASE || DEFAULT_CALLBACK_BASE).replace(/\/+$/, '');
+    const cbUrl = new URL(`${callbackBase}/trait-prediction`);
+    if (runId) {
+      cbUrl.searchParams.set('run_id', runId.toString());
+    }
 
     const payload = {
       model_filename: modelFileName,
       project_id: projectId.toString(),
-      cb_url: 'https://hunchgenaitest-320866101884.us-central1.run.app/trait-prediction',
+      run_id: runId ? runId.toString() : undefined,
+      cb_url: cbUrl.toString(),
       type: type,
       data: rawResults,
     };
-    // body must be base64-encoded string
-    const body = Buffer.from(JSON.stringify(payload)).toString('base64');
-
-   
-		const task = {
-			httpRequest: {
-				url: 'https://us-central1-hunch-ai.cloudfunctions.net/ml-trait-prediction-stage',
-				body,
-				headers: {
-					'Content-Type': 'application/json', // required or Cloud Function will just run as string
-				},
-				oidc: {
-					serviceAccountEmail: process.env.GCLOUD_SERVICE_ACCOUNT_EMAIL,
-					audience: new URL(
-						'https://us-central1-hunch-ai.cloudfunctions.net/ml-trait-prediction-stage',
-					).origin,
-				},
-			},
-		};
-// console.log('task',task)
-    const request = { parent, task };
-    const [response] = await this.tasksClient.createTask(request);
-    console.log('===============request=================')
 
-    // console.log(request)
-    console.log('===============response=================')
-    // console.log(response)
-    return response;
+    return taskQueueService.enqueue('trait-prediction', payload);
   }
 
   cleanText(text) {
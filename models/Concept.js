@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * Concept Schema
+ * A concept tested within a project; its description is the concept_input sent to GenAI
+ */
+const conceptSchema = new mongoose.Schema(
+  {
+    project_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true,
+      index: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      default: ''
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'concepts'
+  }
+);
+
+// Concept names are unique within a project so rows can be grouped by name
+conceptSchema.index({ project_id: 1, name: 1 }, { unique: true });
+
+const Concept = mongoose.model('Concept', conceptSchema);
+
+module.exports = Concept;
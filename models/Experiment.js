@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * Experiment Schema
+ * A/B comparison of the current classification (control) against a treatment that changes the
+ * classifier version and/or trait definitions. Sampled validations are classified by both arms;
+ * only the control arm drives finalScore
+ */
+const experimentSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    status: {
+      type: String,
+      enum: ['active', 'stopped'],
+      default: 'active'
+    },
+    // Share of validations classified by both arms; 1 shadows every one
+    share: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 1
+    },
+    // Trait titles in the experiment; empty means every trait the run classifies
+    traits: {
+      type: [String],
+      default: []
+    },
+    treatment: {
+      // Classifier version for the treatment arm; empty keeps the run's version
+      version: {
+        type: String,
+        enum: ['', 'basic', 'context'],
+        default: ''
+      },
+      // Rewritten definitions; fields left out keep the catalog value
+      trait_overrides: {
+        type: [{
+          trait: {
+            type: String,
+            required: true
+          },
+          trait_definition: String,
+          trait_examples: String,
+          _id: false
+        }],
+        default: []
+      }
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'experiments'
+  }
+);
+
+const Experiment = mongoose.model('Experiment', experimentSchema);
+
+module.exports = Experiment;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * GenAiCacheEntry Schema
+ * A classify response keyed by everything that was sent to the classifier; entries expire through the TTL index
+ */
+const genAiCacheEntrySchema = new mongoose.Schema(
+  {
+    // sha256 of text, trait, definition, examples, version, context inputs and provider
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    provider: String,
+    trait_title: String,
+    response: {
+      present: Boolean,
+      confidence: Number,
+      rationale: String,
+      score: Number
+    },
+    hits: {
+      type: Number,
+      default: 0
+    },
+    last_hit_at: Date,
+    expires_at: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'genai_cache'
+  }
+);
+
+genAiCacheEntrySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const GenAiCacheEntry = mongoose.model('GenAiCacheEntry', genAiCacheEntrySchema);
+
+module.exports = GenAiCacheEntry;
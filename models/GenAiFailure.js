@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+/**
+ * GenAiFailure Schema
+ * A GenAI validation that failed after its retries, kept with the task payload so it can be retried later.
+ * One document per reaction, section, trait and run; repeated failures update it
+ */
+const genAiFailureSchema = new mongoose.Schema(
+  {
+    document_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Trait',
+      required: true
+    },
+    run_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Run',
+      default: null
+    },
+    project_id: String,
+    type: {
+      type: String,
+      enum: ['INITIAL_REACTION', 'CONTEXT_PROMPT'],
+      required: true
+    },
+    model_filename: {
+      type: String,
+      required: true
+    },
+    trait_title: String,
+    // Worker item as queued: { ID, commentPrediction, ... }
+    item: mongoose.Schema.Types.Mixed,
+    error: String,
+    // invalid_response: the classifier answered but the answer failed schema validation
+    reason: {
+      type: String,
+      enum: ['error', 'invalid_response'],
+      default: 'error'
+    },
+    response_errors: {
+      type: [String],
+      default: undefined
+    },
+    raw_response: mongoose.Schema.Types.Mixed,
+    status_code: Number,
+    retryable: Boolean,
+    circuit_open: Boolean,
+    // Classify calls made across every try, including backoff retries
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    // Manual retries through /api/genai/failures/retry
+    retry_count: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['failed', 'retrying', 'resolved'],
+      default: 'failed',
+      index: true
+    },
+    last_failed_at: Date,
+    resolved_at: Date
+  },
+  {
+    timestamps: true,
+    collection: 'genai_failures'
+  }
+);
+
+genAiFailureSchema.index({ document_id: 1, type: 1, model_filename: 1, run_id: 1 }, { unique: true });
+genAiFailureSchema.index({ run_id: 1, status: 1 });
+
+// Static method to record a failed validation, creating or updating its failure document
+genAiFailureSchema.statics.record = function ({ item, model_filename, type, project_id, run_id, trait_title, error }) {
+  return this.findOneAndUpdate(
+    { document_id: item.ID, type, model_filename, run_id: run_id || null },
+    {
+      $set: {
+        project_id,
+        trait_title,
+        item,
+        error: error.message,
+        reason: error.invalidResponse ? 'invalid_response' : 'error',
+        response_errors: error.responseErrors,
+        raw_response: error.rawResponse,
+        status_code: error.statusCode,
+        retryable: error.retryable !== false,
+        circuit_open: !!error.circuitOpen,
+        status: 'failed',
+        last_failed_at: new Date()
+      },
+      $inc: { attempts: error.attempts || 0 }
+    },
+    { upsert: true, new: true }
+  ).lean();
+};
+
+// Static method to claim a failure for retrying; only one caller gets it back
+genAiFailureSchema.statics.claim = function (id) {
+  return this.findOneAndUpdate(
+    { _id: id, status: 'failed' },
+    { $set: { status: 'retrying' }, $inc: { retry_count: 1 } },
+    { new: true }
+  ).lean();
+};
+
+const GenAiFailure = mongoose.model('GenAiFailure', genAiFailureSchema);
+
+module.exports = GenAiFailure;
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * GenAiJob Schema
+ * A GenAI validation task persisted when the worker receives it, then run by a poller on any instance.
+ * queued → running → succeeded, or back to queued for another attempt; failed when the failure is
+ * permanent, dead_lettered when retryable failures use up every attempt
+ */
+const genAiJobSchema = new mongoose.Schema(
+  {
+    // Deterministic key of the task, see GenAiJobService.taskKey; a redelivered task finds its job by it
+    task_key: String,
+    // Worker payload as queued; a grouped job's predictions shrink to the traits still to do
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    document_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Trait'
+    },
+    run_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Run',
+      default: null
+    },
+    type: String,
+    // Empty for grouped jobs, which carry several traits
+    model_filename: String,
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'succeeded', 'failed', 'dead_lettered'],
+      default: 'queued'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    max_attempts: Number,
+    // Earliest time the next attempt may start
+    run_after: {
+      type: Date,
+      default: Date.now
+    },
+    // Instance running the job and how long its claim holds without a heartbeat
+    locked_by: String,
+    lease_expires_at: Date,
+    last_error: String,
+    started_at: Date,
+    finished_at: Date,
+    // Succeeded jobs are removed once this passes
+    expires_at: Date
+  },
+  {
+    timestamps: true,
+    collection: 'genai_jobs'
+  }
+);
+
+genAiJobSchema.index({ task_key: 1 }, { unique: true, partialFilterExpression: { task_key: { $type: 'string' } } });
+genAiJobSchema.index({ status: 1, run_after: 1 });
+genAiJobSchema.index({ status: 1, lease_expires_at: 1 });
+genAiJobSchema.index({ run_id: 1, status: 1 });
+genAiJobSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const GenAiJob = mongoose.model('GenAiJob', genAiJobSchema);
+
+module.exports = GenAiJob;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * GenAiSlot Schema
+ * One document per concurrency slot; a worker holds a slot for the duration of a classify call.
+ * Leases expire so a crashed worker can't keep its slot
+ */
+const genAiSlotSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true
+    },
+    slot: {
+      type: Number,
+      required: true
+    },
+    // Token of the current lease, null when free
+    holder: {
+      type: String,
+      default: null
+    },
+    instance: String,
+    acquired_at: Date,
+    expires_at: Date
+  },
+  {
+    collection: 'genai_slots'
+  }
+);
+
+genAiSlotSchema.index({ name: 1, slot: 1 }, { unique: true });
+
+/**
+ * GenAiRateWindow Schema
+ * Calls made in one minute, shared by every worker; old windows are removed by the TTL index
+ */
+const genAiRateWindowSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true
+    },
+    // Start of the minute, epoch ms
+    window: {
+      type: Number,
+      required: true
+    },
+    count: {
+      type: Number,
+      default: 0
+    },
+    expires_at: Date
+  },
+  {
+    collection: 'genai_rate_windows'
+  }
+);
+
+genAiRateWindowSchema.index({ name: 1, window: 1 }, { unique: true });
+genAiRateWindowSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const GenAiSlot = mongoose.model('GenAiSlot', genAiSlotSchema);
+const GenAiRateWindow = mongoose.model('GenAiRateWindow', genAiRateWindowSchema);
+
+module.exports = { GenAiSlot, GenAiRateWindow };
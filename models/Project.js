@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+/**
+ * Project Schema
+ * A research project; its description is the project_input sent to GenAI for context classification
+ */
+const projectSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      default: ''
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'projects'
+  }
+);
+
+projectSchema.index({ name: 1 });
+
+const Project = mongoose.model('Project', projectSchema);
+
+module.exports = Project;
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+/**
+ * Run Schema
+ * Tracks progress of a single /api/traits/process batch so that
+ * overlapping batches and multiple instances don't share counters
+ */
+const runSchema = new mongoose.Schema(
+  {
+    project_id: {
+      type: String,
+      index: true
+    },
+    version: {
+      type: String,
+      enum: ['context', 'basic']
+    },
+    // Handling of re-submitted rows whose reaction text changed
+    on_change: {
+      type: String,
+      enum: ['skip', 'replace', 'append'],
+      default: 'skip'
+    },
+    // Named trait set the batch selected, if any
+    trait_set_name: {
+      type: String,
+      default: ''
+    },
+    // Trait titles the batch asked for; empty means the whole active catalog
+    requested_traits: {
+      type: [String],
+      default: []
+    },
+    // trait: one GenAI task per reaction and trait; reaction: one task per reaction carrying every trait
+    task_grouping: {
+      type: String,
+      enum: ['trait', 'reaction'],
+      default: 'trait'
+    },
+    // Classify every validation afresh instead of reusing cached results
+    bypass_cache: {
+      type: Boolean,
+      default: false
+    },
+    // Experiment whose treatment arm shadows this run's validations
+    experiment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Experiment',
+      default: null
+    },
+    // Traits queued for this run, per section
+    trait_set: {
+      initial_reaction: {
+        type: [String],
+        default: []
+      },
+      context_prompt: {
+        type: [String],
+        default: []
+      }
+    },
+    document_count: {
+      type: Number,
+      default: 0
+    },
+    expected_count: {
+      type: Number,
+      default: 0
+    },
+    processed_count: {
+      type: Number,
+      default: 0
+    },
+    failed_count: {
+      type: Number,
+      default: 0
+    },
+    // Row-level ingestion summary; issues lists the rows that were skipped, failed or need attention
+    ingestion: {
+      total_rows: Number,
+      accepted: Number,
+      skipped: Number,
+      errors: Number,
+      sections: {
+        initial_reaction: Number,
+        context_prompt: Number
+      },
+      outcomes: {
+        new: Number,
+        unchanged: Number,
+        updated: Number,
+        ignored_change: Number,
+        rescored: Number
+      },
+      issues: {
+        type: [{
+          _id: false,
+          row: Number,
+          hunch_id: String,
+          status: String,
+          reason: String,
+          warnings: [String]
+        }],
+        default: []
+      }
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed'],
+      default: 'pending',
+      index: true
+    },
+    error: {
+      type: String,
+      default: ''
+    },
+    started_at: Date,
+    completed_at: Date
+  },
+  {
+    timestamps: true,
+    collection: 'runs'
+  }
+);
+
+runSchema.index({ project_id: 1, createdAt: -1 });
+
+// Static method to atomically count one finished task against a run
+runSchema.statics.recordResult = function (runId, { failed = false } = {}) {
+  return this.findOneAndUpdate(
+    { _id: runId },
+    { $inc: { processed_count: 1, failed_count: failed ? 1 : 0 } },
+    { new: true }
+  ).lean();
+};
+
+// Static method to mark a run completed; only the first caller gets the document back
+runSchema.statics.markCompleted = function (runId) {
+  return this.findOneAndUpdate(
+    { _id: runId, status: { $in: ['pending', 'running'] } },
+    { $set: { status: 'completed', completed_at: new Date() } },
+    { new: true }
+  ).lean();
+};
+
+const Run = mongoose.model('Run', runSchema);
+
+module.exports = Run;
@@ -1,5 +1,48 @@
 const mongoose = require('mongoose');
 
+/**
+ * Both arms of an experiment on one genAiRecords entry; the control arm is the record itself,
+ * the treatment's finalScore and action are what it would have decided
+ */
+const experimentRecordSchema = new mongoose.Schema(
+  {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Experiment'
+    },
+    name: String,
+    runId: mongoose.Schema.Types.ObjectId,
+    arms: [{
+      arm: {
+        type: String,
+        enum: ['control', 'treatment']
+      },
+      version: String,
+      // Treatment classified with a rewritten definition or examples
+      overridden: Boolean,
+      genAiSays: {
+        present: Boolean,
+        confidence: Number,
+        rationale: String,
+        score: Number
+      },
+      finalScore: Number,
+      action: String,
+      threshold: Number,
+      provider: String,
+      cacheHit: Boolean,
+      // Treatment call failed or answered invalidly; the control decision is unaffected
+      error: String,
+      responseErrors: {
+        type: [String],
+        default: undefined
+      },
+      _id: false
+    }]
+  },
+  { _id: false }
+);
+
 /**
  * Trait Schema
  * Stores trait predictions/results for text analysis
@@ -17,6 +60,16 @@ const traitSchema = new mongoose.Schema(
       type: Boolean,
       default: false
     },
+    run_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Run',
+      index: true
+    },
+    // Sections run_id classifies, those the row carried; unset on older documents, which run every section with text
+    run_sections: {
+      type: [String],
+      default: undefined
+    },
     concept_input: {
       type: String,
       default: ''
@@ -29,6 +82,24 @@ const traitSchema = new mongoose.Schema(
       type: String,
       default: ''
     },
+    concept_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Concept',
+      index: true
+    },
+    // Re-submissions with on_change=append create a new revision and retire the previous one
+    revision: {
+      type: Number,
+      default: 1
+    },
+    is_latest: {
+      type: Boolean,
+      default: true
+    },
+    previous_revision_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Trait'
+    },
     version: {
       type: String,
       required: true,
@@ -86,6 +157,34 @@ const traitSchema = new mongoose.Schema(
             required: true
           },
           traitTitle: String,
+          // Trait definition the record was produced under, see TraitDefinitionVersion
+          traitId: mongoose.Schema.Types.ObjectId,
+          definitionVersion: Number,
+          examplesHash: String,
+          // Classifier provider that produced genAiSays (http or local)
+          provider: String,
+          // genAiSays came from the result cache rather than a classify call
+          cacheHit: Boolean,
+          // Confidence the decision was held to and where it came from, e.g. initial_reaction.flip_to_present
+          threshold: Number,
+          thresholdSource: String,
+          // Set when the classifier's answer failed validation; genAiSays is empty and the ML score stands
+          responseErrors: {
+            type: [String],
+            default: undefined
+          },
+          // JSON text of the answer, see ResponseValidator.capture; older records may hold the object
+          rawResponse: mongoose.Schema.Types.Mixed,
+          // Run that produced the record and its task key (document:type:model_filename:run);
+          // a task that runs again replaces its record rather than adding another
+          runId: mongoose.Schema.Types.ObjectId,
+          taskKey: String,
+          // Set on validations an experiment covered, see Experiment
+          arm: String,
+          experiment: {
+            type: experimentRecordSchema,
+            default: undefined
+          },
           isTraitValidationIncorrect: {
             type: Number,
           },
@@ -127,6 +226,43 @@ const traitSchema = new mongoose.Schema(
       reviewTags: {
         type: [String],
         default: []
+      },
+      // GenAI validations finished (succeeded or failed) for this section in the current run
+      tasksCompleted: {
+        type: Number,
+        default: 0
+      },
+      // Task keys already counted in tasksCompleted, so a redelivered task isn't counted twice
+      settledTasks: {
+        type: [String],
+        default: []
+      },
+      // ML predictions collected for the current run when tasks are grouped per reaction
+      pendingPredictions: {
+        type: [{
+          _id: false,
+          model_filename: String,
+          item: mongoose.Schema.Types.Mixed
+        }],
+        default: []
+      },
+      // When the group still being collected got its first prediction; unset once the group is queued
+      pendingSince: Date,
+      // What the post-classification passes flagged or changed
+      consistency: {
+        type: [{
+          _id: false,
+          rule: String,
+          ruleName: String,
+          trait: String,
+          related: [String],
+          resolution: String,
+          timestamp: {
+            type: Date,
+            default: Date.now
+          }
+        }],
+        default: []
       }
     },
     // Context Prompt Object
@@ -174,6 +310,34 @@ const traitSchema = new mongoose.Schema(
             required: true
           },
           traitTitle: String,
+          // Trait definition the record was produced under, see TraitDefinitionVersion
+          traitId: mongoose.Schema.Types.ObjectId,
+          definitionVersion: Number,
+          examplesHash: String,
+          // Classifier provider that produced genAiSays (http or local)
+          provider: String,
+          // genAiSays came from the result cache rather than a classify call
+          cacheHit: Boolean,
+          // Confidence the decision was held to and where it came from, e.g. initial_reaction.flip_to_present
+          threshold: Number,
+          thresholdSource: String,
+          // Set when the classifier's answer failed validation; genAiSays is empty and the ML score stands
+          responseErrors: {
+            type: [String],
+            default: undefined
+          },
+          // JSON text of the answer, see ResponseValidator.capture; older records may hold the object
+          rawResponse: mongoose.Schema.Types.Mixed,
+          // Run that produced the record and its task key (document:type:model_filename:run);
+          // a task that runs again replaces its record rather than adding another
+          runId: mongoose.Schema.Types.ObjectId,
+          taskKey: String,
+          // Set on validations an experiment covered, see Experiment
+          arm: String,
+          experiment: {
+            type: experimentRecordSchema,
+            default: undefined
+          },
           isTraitValidationIncorrect: {
             type: Boolean,
             default: false
@@ -208,6 +372,43 @@ const traitSchema = new mongoose.Schema(
         type: [String],
         default: []
       },
+      // GenAI validations finished (succeeded or failed) for this section in the current run
+      tasksCompleted: {
+        type: Number,
+        default: 0
+      },
+      // Task keys already counted in tasksCompleted, so a redelivered task isn't counted twice
+      settledTasks: {
+        type: [String],
+        default: []
+      },
+      // ML predictions collected for the current run when tasks are grouped per reaction
+      pendingPredictions: {
+        type: [{
+          _id: false,
+          model_filename: String,
+          item: mongoose.Schema.Types.Mixed
+        }],
+        default: []
+      },
+      // When the group still being collected got its first prediction; unset once the group is queued
+      pendingSince: Date,
+      // What the post-classification passes flagged or changed
+      consistency: {
+        type: [{
+          _id: false,
+          rule: String,
+          ruleName: String,
+          trait: String,
+          related: [String],
+          resolution: String,
+          timestamp: {
+            type: Date,
+            default: Date.now
+          }
+        }],
+        default: []
+      },
       type: {
         type: String,
         enum: ['CONTEXT_PROMPT'],
@@ -230,6 +431,9 @@ traitSchema.index({ project_input: 1, version: 1, createdAt: -1 });
 traitSchema.index({ 'initial_reaction._id': 1 });
 traitSchema.index({ 'context_prompt._id': 1 });
 traitSchema.index({ version: 1, createdAt: -1 });
+traitSchema.index({ project_id: 1, hunch_id: 1, concept_name: 1, is_latest: 1 });
+traitSchema.index({ 'initial_reaction.pendingSince': 1 }, { sparse: true });
+traitSchema.index({ 'context_prompt.pendingSince': 1 }, { sparse: true });
 
 // Instance method to add a trait
 traitSchema.methods.addTrait = function (trait) {
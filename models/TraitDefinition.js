@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+/**
+ * TraitDefinition Schema
+ * The trait catalog: what each trait means, its ML model file and which sections it runs on.
+ * Seeded from traits.js on startup and edited through the /api/traits catalog routes
+ */
+const traitDefinitionSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    gcsFileName: {
+      type: String,
+      default: '',
+      index: true
+    },
+    contextPromptEnabled: {
+      type: Boolean,
+      default: false
+    },
+    initialReactionEnabled: {
+      type: Boolean,
+      default: false
+    },
+    expandedView: {
+      type: Boolean,
+      default: false
+    },
+    hideThemeTag: {
+      type: Boolean,
+      default: false
+    },
+    color: {
+      type: String,
+      default: ''
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    traitType: {
+      type: String,
+      enum: ['primary', 'secondary'],
+      default: 'primary'
+    },
+    parentTraits: {
+      type: [String],
+      default: []
+    },
+    trait_definition: {
+      type: String,
+      default: ''
+    },
+    // Either a " | " separated string or a list of examples, as in traits.js
+    trait_examples: {
+      type: mongoose.Schema.Types.Mixed,
+      default: ''
+    },
+    // Confidence GenAI needs to overturn the ML score; unset values fall back from the section's
+    // direction to the section default, the trait default and finally GenAiService.confidenceThreshold
+    confidence_thresholds: {
+      default: { type: Number, min: 0, max: 1 },
+      initial_reaction: {
+        default: { type: Number, min: 0, max: 1 },
+        flip_to_present: { type: Number, min: 0, max: 1 },
+        flip_to_absent: { type: Number, min: 0, max: 1 }
+      },
+      context_prompt: {
+        default: { type: Number, min: 0, max: 1 },
+        flip_to_present: { type: Number, min: 0, max: 1 },
+        flip_to_absent: { type: Number, min: 0, max: 1 }
+      }
+    },
+    // Reviewer-corrected reactions promoted through the curation routes; negatives are counter-examples
+    curated_examples: {
+      type: [{
+        text: {
+          type: String,
+          required: true
+        },
+        label: {
+          type: String,
+          enum: ['positive', 'negative'],
+          required: true
+        },
+        section: {
+          type: String,
+          enum: ['INITIAL_REACTION', 'CONTEXT_PROMPT']
+        },
+        source_document_id: mongoose.Schema.Types.ObjectId,
+        note: String,
+        promoted_at: {
+          type: Date,
+          default: Date.now
+        }
+      }],
+      default: []
+    },
+    // Current version; bumped on every edit, see TraitDefinitionVersion
+    version: {
+      type: Number,
+      default: 1
+    },
+    // Disabled traits stay in the catalog for existing results but are not queued
+    disabled: {
+      type: Boolean,
+      default: false,
+      index: true
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'trait_definitions'
+  }
+);
+
+const TraitDefinition = mongoose.model('TraitDefinition', traitDefinitionSchema);
+
+module.exports = TraitDefinition;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * TraitDefinitionVersion Schema
+ * Immutable snapshot of a trait definition, written on every edit.
+ * GenAI records carry the version number they were produced under
+ */
+const traitDefinitionVersionSchema = new mongoose.Schema(
+  {
+    trait_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TraitDefinition',
+      required: true
+    },
+    version: {
+      type: Number,
+      required: true
+    },
+    title: String,
+    gcsFileName: String,
+    contextPromptEnabled: Boolean,
+    initialReactionEnabled: Boolean,
+    traitType: String,
+    parentTraits: [String],
+    trait_definition: String,
+    trait_examples: mongoose.Schema.Types.Mixed,
+    curated_examples: mongoose.Schema.Types.Mixed,
+    confidence_thresholds: mongoose.Schema.Types.Mixed,
+    examples_hash: String,
+    changed_fields: {
+      type: [String],
+      default: []
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'trait_definition_versions'
+  }
+);
+
+traitDefinitionVersionSchema.index({ trait_id: 1, version: -1 }, { unique: true });
+
+// Versions are append-only
+function rejectUpdate() {
+  throw new Error('Trait definition versions are immutable');
+}
+traitDefinitionVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectUpdate);
+traitDefinitionVersionSchema.pre('save', function () {
+  if (!this.isNew) rejectUpdate();
+});
+
+const TraitDefinitionVersion = mongoose.model('TraitDefinitionVersion', traitDefinitionVersionSchema);
+
+module.exports = TraitDefinitionVersion;
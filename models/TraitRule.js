@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * TraitRule Schema
+ * Declarative methodology rules checked against a section's traits after classification:
+ * - exclusive: no two of `traits` may be present together
+ * - implies: when `when` is present, every trait in `then` must be present too
+ */
+const traitRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ['exclusive', 'implies']
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    traits: {
+      type: [String],
+      default: []
+    },
+    when: {
+      type: String,
+      default: ''
+    },
+    then: {
+      type: [String],
+      default: []
+    },
+    sections: {
+      type: [String],
+      enum: ['INITIAL_REACTION', 'CONTEXT_PROMPT'],
+      default: ['INITIAL_REACTION', 'CONTEXT_PROMPT']
+    },
+    enabled: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'trait_rules'
+  }
+);
+
+const TraitRule = mongoose.model('TraitRule', traitRuleSchema);
+
+module.exports = TraitRule;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * TraitSet Schema
+ * A named selection of traits (e.g. "core primaries") a batch can run instead of the whole catalog
+ */
+const traitSetSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    // Trait titles
+    traits: {
+      type: [String],
+      default: []
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'trait_sets'
+  }
+);
+
+const TraitSet = mongoose.model('TraitSet', traitSetSchema);
+
+module.exports = TraitSet;
@@ -2,21 +2,53 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const http = require('http');
+const { PassThrough } = require('stream');
 const WebSocket = require('ws');
+const Busboy = require('busboy');
+const mongoose = require('mongoose');
 const database = require('./db');
-const { traits } = require('./traits');
 const { initialReactions, contextPrompts } = require('./reaction');
 const GCloudService = require('./gcloudService');
+const genAiQueue = require('./GenAiQueueService');
 const Trait = require('./models/Trait');
+const Run = require('./models/Run');
+const Project = require('./models/Project');
+const Concept = require('./models/Concept');
+const GenAiFailure = require('./models/GenAiFailure');
+const GenAiJob = require('./models/GenAiJob');
+const TraitSet = require('./models/TraitSet');
+const Experiment = require('./models/Experiment');
 const genAiService = require('./services/genAiService');
+const spreadsheetService = require('./services/spreadsheetService');
+const ingestionService = require('./services/ingestionService');
+const estimateService = require('./services/estimateService');
+const projectService = require('./services/projectService');
+const traitCatalogService = require('./services/traitCatalogService');
+const traitHierarchyService = require('./services/traitHierarchyService');
+const traitRuleService = require('./services/traitRuleService');
+const exampleCurationService = require('./services/exampleCurationService');
+const experimentService = require('./services/experimentService');
+const calibrationService = require('./services/calibrationService');
+const taskQueueService = require('./services/taskQueueService');
+const genAiJobService = require('./services/genAiJobService');
+const localPredictionService = require('./services/localPredictionService');
+const { CHANGE_STRATEGIES } = ingestionService;
 
 // Request Queue for handling GenAI API calls sequentially
 
 const app = express();
 const server = http.createServer(app);
 const PORT = process.env.PORT || 3000;
+
+// GENAI_TASK_GROUPING: how GenAI validation tasks are queued for new runs
+const TASK_GROUPINGS = ['trait', 'reaction'];
+// GENAI_GROUP_TIMEOUT_MS: how long a reaction waits for the rest of its ML predictions before it's queued without them
+const GROUP_TIMEOUT_MS = Number(process.env.GENAI_GROUP_TIMEOUT_MS) || 900000;
 const gcloudService = new GCloudService();
 
+// Spreadsheet uploads are parsed as they arrive; the cap bounds how much one request can ingest
+const UPLOAD_MAX_MB = 50;
+
 // WebSocket server with ping/pong to keep connections alive
 const wss = new WebSocket.Server({
   server,
@@ -136,6 +168,11 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Helper function
+// Form fields arrive as strings, JSON bodies as booleans
+function isTruthy(value) {
+  return value === true || value === 'true' || value === '1' || value === 1;
+}
+
 function generateObjectId() {
   const timestamp = Math.floor(Date.now() / 1000).toString(16);
   const randomBytes = Math.random().toString(16).substring(2, 14);
@@ -163,255 +200,232 @@ app.get('/api/hello', (req, res) => {
 });
 
 // Get all traits
-app.get('/api/traits', (req, res) => {
-  const simplifiedTraits = traits.map(trait => ({
-    title: trait.title,
-    traitType: trait.traitType,
-    contextPromptEnabled: trait.contextPromptEnabled,
-    initialReactionEnabled: trait.initialReactionEnabled
-  }));
+// Query: ?includeDisabled=true to list disabled traits too
+app.get('/api/traits', async (req, res) => {
+  try {
+    const catalog = isTruthy(req.query.includeDisabled)
+      ? await traitCatalogService.getAll()
+      : await traitCatalogService.getActive();
+
+    const simplifiedTraits = catalog.map(trait => ({
+      _id: trait._id,
+      title: trait.title,
+      traitType: trait.traitType,
+      contextPromptEnabled: trait.contextPromptEnabled,
+      initialReactionEnabled: trait.initialReactionEnabled,
+      disabled: trait.disabled
+    }));
 
-  res.json({
-    success: true,
-    count: simplifiedTraits.length,
-    data: simplifiedTraits
-  });
+    res.json({
+      success: true,
+      count: simplifiedTraits.length,
+      data: simplifiedTraits
+    });
+  } catch (error) {
+    console.error('Error fetching trait catalog:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get the trait catalog as a tree of primaries and their secondaries
+app.get('/api/traits/tree', async (req, res) => {
+  try {
+    const catalog = isTruthy(req.query.includeDisabled)
+      ? await traitCatalogService.getAll()
+      : await traitCatalogService.getActive();
+    const { tree, orphans } = traitHierarchyService.buildTree(catalog);
+
+    res.json({
+      success: true,
+      count: tree.length,
+      data: tree,
+      orphans
+    });
+  } catch (error) {
+    console.error('Error building trait tree:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
 });
 
 // Get traits with context prompt enabled
-app.get('/api/traits/context-prompt', (req, res) => {
-  const contextPromptTraits = traits.filter(trait => trait.contextPromptEnabled);
-  res.json({
-    success: true,
-    count: contextPromptTraits.length,
-    data: contextPromptTraits
-  });
+app.get('/api/traits/context-prompt', async (req, res) => {
+  try {
+    const contextPromptTraits = (await traitCatalogService.getActive()).filter(trait => trait.contextPromptEnabled);
+    res.json({
+      success: true,
+      count: contextPromptTraits.length,
+      data: contextPromptTraits
+    });
+  } catch (error) {
+    console.error('Error fetching context prompt traits:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
 });
 
 // Get traits with initial reaction enabled
-app.get('/api/traits/initial-reaction', (req, res) => {
-  const initialReactionTraits = traits.filter(trait => trait.initialReactionEnabled);
-  res.json({
-    success: true,
-    count: initialReactionTraits.length,
-    data: initialReactionTraits
-  });
+app.get('/api/traits/initial-reaction', async (req, res) => {
+  try {
+    const initialReactionTraits = (await traitCatalogService.getActive()).filter(trait => trait.initialReactionEnabled);
+    res.json({
+      success: true,
+      count: initialReactionTraits.length,
+      data: initialReactionTraits
+    });
+  } catch (error) {
+    console.error('Error fetching initial reaction traits:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
 });
 
-// Process traits and queue tasks to Google Cloud
-app.post('/api/traits/process', async (req, res) => {
+// Create a trait definition
+// Body: { title, gcsFileName, trait_definition, trait_examples, initialReactionEnabled, contextPromptEnabled, traitType, parentTraits, ... }
+app.post('/api/traits', async (req, res) => {
   try {
-    const { csv_data, version, project_input, concept_input, project_id } = req.body;
-
-    // Validate required fields
-    if (!csv_data || !Array.isArray(csv_data) || csv_data.length === 0) {
+    if (!req.body.title) {
       return res.status(400).json({
         success: false,
-        error: 'csv_data is required and must be a non-empty array'
+        error: 'title is required'
       });
     }
 
-    if (!version) {
-      return res.status(400).json({
-        success: false,
-        error: 'version is required (context or basic)'
-      });
+    const trait = await traitCatalogService.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: trait
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'A trait with this title already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
     }
+    console.error('Error creating trait definition:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    // Validate version enum
-    const versionLower = version.toLowerCase();
-    if (!['context', 'basic'].includes(versionLower)) {
-      return res.status(400).json({
+// Update a trait definition
+app.put('/api/traits/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid trait id' });
+    }
+
+    const trait = await traitCatalogService.update(id, req.body);
+    if (!trait) {
+      return res.status(404).json({
         success: false,
-        error: 'version must be either "context" or "basic"'
+        error: 'Trait not found'
       });
     }
 
-    // If version is context, project_input and concept_input are required
-    if (versionLower === 'context') {
-      if (!project_input) {
-        return res.status(400).json({
-          success: false,
-          error: 'project_input is required when version is context'
-        });
-      }
-      if (!concept_input) {
-        return res.status(400).json({
-          success: false,
-          error: 'concept_input is required when version is context'
-        });
-      }
+    res.json({
+      success: true,
+      message: 'Trait updated successfully',
+      data: trait
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'A trait with this title already exists' });
     }
-
-    const projectId = "691f0de3cde91b17bbb84746";
-
-
-
-    // Map csv_data and save to database
-    const savedDocuments = [];
-
-    for (const item of csv_data) {
-      // Prepare data structure for saving
-      const traitData = {
-        project_input: project_input || '',
-        concept_input: concept_input || '',
-        version: versionLower,
-        hunch_id: item.hunch_id,
-        project_id: project_id,
-        concept_name: item.concept_name
-      };
-
-      // Save initial_reaction if exists
-      if (item.initial_reaction && item.initial_reaction.trim()) {
-        traitData.initial_reaction = {
-          text: item.initial_reaction.trim(),
-          traits: [],
-          genAiRecords: [],
-          reviewTags: []
-          // type: 'INITIAL_REACTION' is default in schema
-        };
-        traitData.context_prompt = {
-          text: item.context_prompt.trim(),
-          traits: [],
-          genAiRecords: [],
-          reviewTags: []
-          // type: 'CONTEXT_PROMPT' is default in schema
-        };
-
-        const savedDoc = await Trait.create(traitData);
-        savedDocuments.push({
-          mongoId: savedDoc._id.toString(),
-          type: 'INITIAL_REACTION'
-        });
-
-        // Broadcast document created
-        broadcastUpdate({
-          type: 'document_created',
-          documentId: savedDoc._id.toString(),
-          document: {
-            _id: savedDoc._id.toString(),
-            project_input: savedDoc.project_input,
-            concept_input: savedDoc.concept_input,
-            version: savedDoc.version,
-            initial_reaction: savedDoc.initial_reaction,
-            context_prompt: savedDoc.context_prompt,
-            hunch_id: savedDoc.hunch_id,
-            project_id: savedDoc.project_id,
-            concept_name: savedDoc.concept_name
-          },
-          timestamp: new Date().toISOString()
-        });
-      }
-
-
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, error: error.message });
     }
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Error updating trait definition:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
+// List the immutable versions of a trait definition, newest first
+app.get('/api/traits/:id/versions', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) return next();
 
-    // Fetch saved documents from database
-    const allSavedDocs = await Trait.find({
-      processed: false
-    }).lean();
-
-    // Separate initial_reaction and context_prompt data
-    const initialReactionData = allSavedDocs
-      .filter(doc => doc.initial_reaction && doc.initial_reaction.text)
-      .map(doc => ({
-        ID: doc._id.toString(),
-        comment: gcloudService.cleanText(doc.initial_reaction.text)
-      }));
-
-    const contextPromptData = allSavedDocs
-      .filter(doc => doc.context_prompt && doc.context_prompt.text)
-      .map(doc => ({
-        ID: doc._id.toString(), // MongoDB _id as ID
-        comment: gcloudService.cleanText(doc.context_prompt.text) // text as comment
-      }));
+    const versions = await traitCatalogService.getVersions(id);
 
-    console.log(`✅ Fetched ${allSavedDocs.length} documents from DB`);
+    res.json({
+      success: true,
+      count: versions.length,
+      data: versions
+    });
+  } catch (error) {
+    console.error('Error fetching trait versions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    // Get enabled traits
-    const initialReactionTraits = traits.filter(trait => trait.initialReactionEnabled);
-    const contextPromptTraits = traits.filter(trait => trait.contextPromptEnabled);
+// Diff two versions of a trait and list the GenAI records produced under each
+// Query: ?from=1&to=2&limit=100 (to defaults to the current version, from to the one before it)
+app.get('/api/traits/:id/versions/diff', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) return next();
 
-    // Calculate total tasks to be processed
-    const totalInitialTasks = initialReactionData.length * initialReactionTraits.length;
-    const totalContextTasks = contextPromptData.length * contextPromptTraits.length;
-    expectedCount = totalInitialTasks + totalContextTasks;
-    processedCounter = 0;
+    const versions = await traitCatalogService.getVersions(id);
+    if (versions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trait not found'
+      });
+    }
 
-    console.log(`🚀 Starting batch processing: ${expectedCount} total tasks expected (${totalInitialTasks} initial + ${totalContextTasks} context).`);
+    const toVersion = req.query.to ? Number(req.query.to) : versions[0].version;
+    const fromVersion = req.query.from ? Number(req.query.from) : toVersion - 1;
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
 
-    //    First: Queue initial_reaction data
-    if (initialReactionData.length > 0 && initialReactionTraits.length > 0) {
-      for (const model of initialReactionTraits) {
-        try {
-          if (model.gcsFileName && projectId) {
-            await gcloudService.queueTraitTasks(
-              initialReactionData,
-              projectId,
-              model.gcsFileName,
-              'INITIAL_REACTION'
-            );
-            console.log(`✅ Queued INITIAL_REACTION task for ${model.title}`);
-          }
-        } catch (error) {
-          console.error(`Error queuing INITIAL_REACTION task for ${model.title}:`, error);
-        }
-      }
+    const from = versions.find(v => v.version === fromVersion);
+    const to = versions.find(v => v.version === toVersion);
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${!from ? fromVersion : toVersion} not found`
+      });
     }
 
-    // // Then: Queue context_prompt data
-    if (contextPromptData.length > 0 && contextPromptTraits.length > 0) {
-      for (const model of contextPromptTraits) {
-        try {
-          if (model.gcsFileName && projectId) {
-            await gcloudService.queueTraitTasks(
-              contextPromptData,
-              projectId,
-              model.gcsFileName,
-              'CONTEXT_PROMPT'
-            );
-            console.log(`✅ Queued CONTEXT_PROMPT task for ${model.title}`);
-
-            // Broadcast task queued
-          }
-        } catch (error) {
-          console.error(`Error queuing CONTEXT_PROMPT task for ${model.title}:`, error);
-        }
-      }
-    }
+    const [fromRecords, toRecords] = await Promise.all([
+      traitCatalogService.recordsForVersion(id, fromVersion, limit),
+      traitCatalogService.recordsForVersion(id, toVersion, limit)
+    ]);
 
-    // Use already fetched documents for response
     res.json({
       success: true,
-      message: 'Data saved and tasks queued successfully',
-      data: allSavedDocs.map(doc => ({
-        _id: doc._id.toString(),
-        project_input: doc.project_input,
-        concept_input: doc.concept_input,
-        version: doc.version,
-        initial_reaction: doc.initial_reaction,
-        context_prompt: doc.context_prompt,
-        hunch_id: doc.hunch_id,
-        concept_name: doc.concept_name,
-        createdAt: doc.createdAt,
-        updatedAt: doc.updatedAt
-      })),
-      count: allSavedDocs.length,
-      savedDocuments: savedDocuments.map(doc => ({
-        mongoId: doc.mongoId,
-        type: doc.type
-      })),
-      projectId,
-      conceptInput: concept_input,
-      version: versionLower,
-      queuedTasks: {
-        initialReaction: initialReactionData.length > 0 ? initialReactionTraits.length : 0,
-        contextPrompt: contextPromptData.length > 0 ? contextPromptTraits.length : 0
+      data: {
+        traitId: id,
+        from: { ...from, records: fromRecords },
+        to: { ...to, records: toRecords },
+        changes: traitCatalogService.diffVersions(from, to)
       }
     });
   } catch (error) {
-    console.error('Error processing traits:', error);
+    console.error('Error diffing trait versions:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -419,297 +433,2342 @@ app.post('/api/traits/process', async (req, res) => {
   }
 });
 
-app.use(express.text({ type: '*/*' }));
-
-app.post('/trait-prediction', async (req, res) => {
+// Reviewer-corrected reactions for a trait, candidates for its few-shot examples
+// Query: ?type=INITIAL_REACTION|CONTEXT_PROMPT&label=positive|negative&limit=100
+app.get('/api/traits/:id/corrections', async (req, res, next) => {
   try {
-    const { data, model_filename, type, project_id } = req.body;
-    if (!Array.isArray(data)) {
-      return res.status(400).json({ success: false });
-    }
-
-    // ✅ respond immediately
-    res.status(200).json({
-      success: true,
-      queued: data.length
-    });
-
-    // ⛔ NO heavy work here
-    const genAiQueue = require('./GenAiQueueService');
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) return next();
 
-    for (const item of data) {
-      await genAiQueue.enqueueGenAi({
-        item,
-        model_filename,
-        type,
-        project_id
+    const trait = (await traitCatalogService.getAll()).find(t => t._id.toString() === id);
+    if (!trait) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trait not found'
       });
     }
 
-  } catch (err) {
-    console.error(err);
-  }
-});
-
+    const { type, label } = req.query;
+    if (type && type !== 'INITIAL_REACTION' && type !== 'CONTEXT_PROMPT') {
+      return res.status(400).json({ success: false, error: 'type must be INITIAL_REACTION or CONTEXT_PROMPT' });
+    }
+    if (label && !exampleCurationService.LABELS.includes(label)) {
+      return res.status(400).json({ success: false, error: 'label must be positive or negative' });
+    }
 
-// Get reactions data
-app.get('/api/reactions/initial', (req, res) => {
-  res.json({
-    success: true,
-    count: initialReactions.filter(r => r).length,
-    data: initialReactions.filter(r => r)
-  });
-});
+    const corrections = await exampleCurationService.listCorrections(trait, {
+      type,
+      label,
+      limit: Math.min(Number(req.query.limit) || 100, 1000)
+    });
 
-app.get('/api/reactions/context', (req, res) => {
-  res.json({
-    success: true,
-    count: contextPrompts.length,
-    data: contextPrompts
-  });
+    res.json({
+      success: true,
+      count: corrections.length,
+      data: corrections
+    });
+  } catch (error) {
+    console.error('Error fetching trait corrections:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
 });
 
-// ==================== Trait Database Fetch APIs ====================
-// Add feedback to a specific trait's genAiRecords entry
-// Body: { documentId, traitName, feedback, type: 'INITIAL_REACTION' | 'CONTEXT_PROMPT' }
-app.post('/api/traits/feedback', async (req, res) => {
+// The examples the classifier receives for a trait, plus the curated entries with their ids
+app.get('/api/traits/:id/examples', async (req, res, next) => {
   try {
-    const { documentId, traitName, feedback, type, genAiRecordId, isTraitValidationIncorrect } = req.body;
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) return next();
 
-    if (!documentId || !traitName || !type) {
-      return res.status(400).json({
+    const trait = (await traitCatalogService.getAll()).find(t => t._id.toString() === id);
+    if (!trait) {
+      return res.status(404).json({
         success: false,
-        error: 'documentId, traitName, and type are required'
+        error: 'Trait not found'
       });
     }
 
-    const targetType = type === 'INITIAL_REACTION' ? 'initial_reaction'
-      : type === 'CONTEXT_PROMPT' ? 'context_prompt'
-        : null;
+    res.json({
+      success: true,
+      data: {
+        traitId: id,
+        version: trait.version || 1,
+        examples: exampleCurationService.structuredExamples(trait),
+        curated: trait.curated_examples || []
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trait examples:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    if (!targetType) {
-      return res.status(400).json({ success: false, error: 'type must be INITIAL_REACTION or CONTEXT_PROMPT' });
+// Promote corrected reactions into the trait's examples; each promotion is a new trait version
+// Body: { items: [{ documentId, type, label: 'positive' | 'negative', note }] }
+app.post('/api/traits/:id/examples', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid trait id' });
     }
 
-    const doc = await Trait.findById(documentId);
-    if (!doc) {
-      return res.status(404).json({ success: false, error: 'Document not found' });
+    const trait = await traitCatalogService.getById(id);
+    if (!trait) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trait not found'
+      });
     }
 
-    const target = doc[targetType];
-    if (!target || !Array.isArray(target.genAiRecords)) {
-      return res.status(404).json({ success: false, error: `No genAiRecords found for type ${type}` });
+    const result = await exampleCurationService.promote(trait, req.body.items);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.added.length} example(s) promoted`,
+      added: result.added,
+      skipped: result.skipped,
+      data: result.trait
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Error promoting trait examples:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Remove a curated example
+app.delete('/api/traits/:id/examples/:exampleId', async (req, res) => {
+  try {
+    const { id, exampleId } = req.params;
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid trait id' });
+    }
+
+    const trait = await traitCatalogService.getById(id);
+    if (!trait) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trait not found'
+      });
+    }
+
+    const updated = await exampleCurationService.remove(trait, exampleId);
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Example not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Example removed successfully',
+      data: updated
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Error removing trait example:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Disable or re-enable a trait; disabled traits are no longer queued
+app.post('/api/traits/:id/:action(disable|enable)', async (req, res) => {
+  try {
+    const { id, action } = req.params;
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid trait id' });
+    }
+
+    const trait = await traitCatalogService.setDisabled(id, action === 'disable');
+    if (!trait) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trait not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Trait ${action}d successfully`,
+      data: trait
+    });
+  } catch (error) {
+    console.error('Error changing trait status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Validate the batch-level fields shared by /api/traits/process and /api/traits/upload
+ * @returns {{ error: string }|{ projectId: string, versionLower: string }}
+ */
+function validateBatchOptions({ version, project_id, on_change }) {
+  if (!project_id || typeof project_id !== 'string' || !project_id.trim()) {
+    return { error: 'project_id is required' };
+  }
+
+  if (!version) {
+    return { error: 'version is required (context or basic)' };
+  }
+
+  // Validate version enum
+  const versionLower = version.toLowerCase();
+  if (!['context', 'basic'].includes(versionLower)) {
+    return { error: 'version must be either "context" or "basic"' };
+  }
+
+  // Re-submitted rows whose text changed are skipped unless asked otherwise
+  const onChange = on_change ? String(on_change).toLowerCase() : 'skip';
+  if (!CHANGE_STRATEGIES.includes(onChange)) {
+    return { error: `on_change must be one of: ${CHANGE_STRATEGIES.join(', ')}` };
+  }
+
+  return { projectId: project_id.trim(), versionLower, onChange };
+}
+
+/**
+ * Resolve the Project (and optional fixed Concept) a submission's reactions will reference
+ * Context classification needs project and concept text, from the submission or the entities
+ * @returns {Promise<{ error: string }|{ project: Object|null, concept: Object|null }>}
+ */
+async function resolveBatchEntities({ projectId, versionLower, project_input, concept_input, concept_id }, { dryRun = false } = {}) {
+  let project = null;
+  if (projectService.isObjectId(projectId)) {
+    // A dry run must not create the project
+    project = dryRun
+      ? await Project.findById(projectId).lean()
+      : await projectService.resolveProject(projectId, project_input);
+  }
+
+  let concept = null;
+  if (concept_id) {
+    if (!projectService.isObjectId(concept_id)) {
+      return { error: 'concept_id is not a valid id' };
+    }
+    concept = await Concept.findById(concept_id).lean();
+    if (!concept) {
+      return { error: 'concept_id not found' };
+    }
+    if (concept.project_id.toString() !== projectId) {
+      return { error: 'concept_id belongs to another project' };
+    }
+    if (!dryRun) {
+      concept = await projectService.adoptDescription(Concept, concept, concept_input);
+    }
+  }
+
+  // If version is context, project and concept text are required
+  if (versionLower === 'context') {
+    if (!project_input && !(project && project.description)) {
+      return { error: 'project_input is required when version is context' };
+    }
+    if (!concept_input && !(concept && concept.description)) {
+      return { error: 'concept_input is required when version is context' };
+    }
+  }
+
+  return { project, concept };
+}
+
+// Multipart fields are strings: accept a JSON array, repeated fields or a single value
+function parseListField(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  return [value];
+}
+
+/**
+ * Validate and resolve everything a submission needs before rows are read
+ * @returns {Promise<{ error: string }|Object>} Batch options shared by ingestion, estimation and queuing
+ */
+async function prepareBatch(body, { dryRun = false } = {}) {
+  const { version, project_input, concept_input, project_id, concept_id, on_change, traits: requestedTraits, trait_set, rescore, bypass_cache, experiment } = body;
+
+  const options = validateBatchOptions({ version, project_id, on_change });
+  if (options.error) return options;
+  const { projectId, versionLower, onChange } = options;
+
+  const entities = await resolveBatchEntities({ projectId, versionLower, project_input, concept_input, concept_id }, { dryRun });
+  if (entities.error) return entities;
+
+  // Only the selected traits are queued, expected and checked for completion
+  const selection = await traitCatalogService.resolveSelection({
+    traits: parseListField(requestedTraits),
+    traitSet: trait_set
+  });
+  if (selection.error) return selection;
+
+  // An active experiment shadows the run with its treatment arm
+  const experimentSelection = await experimentService.resolve(experiment);
+  if (experimentSelection.error) return experimentSelection;
+
+  return {
+    projectId,
+    versionLower,
+    onChange,
+    project_input,
+    concept_input,
+    project: entities.project,
+    concept: entities.concept,
+    traitTitles: selection.titles,
+    traitSetName: selection.traitSetName,
+    rescore: isTruthy(rescore),
+    bypassCache: isTruthy(bypass_cache),
+    experiment: experimentSelection.experiment
+  };
+}
+
+// Each submission gets its own run so overlapping batches track progress independently
+function createRun(batch) {
+  return Run.create({
+    project_id: batch.projectId,
+    version: batch.versionLower,
+    on_change: batch.onChange,
+    trait_set_name: batch.traitSetName,
+    requested_traits: batch.traitTitles || [],
+    bypass_cache: batch.bypassCache,
+    experiment_id: batch.experiment ? batch.experiment._id : null,
+    task_grouping: taskGrouping()
+  });
+}
+
+// Task grouping new runs are created with
+function taskGrouping() {
+  return TASK_GROUPINGS.includes(process.env.GENAI_TASK_GROUPING) ? process.env.GENAI_TASK_GROUPING : 'trait';
+}
+
+/**
+ * Work out what ingesting one reaction row would do, without writing anything
+ * Rows are keyed by project_id + hunch_id + concept_name: an identical re-submission is left alone,
+ * a changed one is skipped, replaced in place or saved as a new revision depending on onChange
+ * @returns {Promise<Object>} { result, data, existing, action: 'none'|'create'|'replace'|'append' }
+ */
+async function planReactionRow(item, row, { projectId, onChange, concept, rescore }) {
+  const validation = ingestionService.validateRow(item);
+  const result = {
+    row,
+    hunch_id: validation.data ? validation.data.hunch_id : '',
+    status: validation.status,
+    reason: validation.reason,
+    warnings: validation.warnings,
+    sections: validation.sections || [],
+    outcome: null,
+    documentId: null
+  };
+
+  if (validation.status !== 'accepted') {
+    return { result, action: 'none' };
+  }
+
+  const { data } = validation;
+  if (concept && !data.concept_name) {
+    data.concept_name = concept.name;
+  }
+
+  const key = ingestionService.rowKey(projectId, data);
+  const existing = key
+    ? await Trait.findOne(key).select('initial_reaction.text context_prompt.text revision').lean()
+    : null;
+
+  if (!existing) {
+    result.outcome = 'new';
+    return { result, data, action: 'create' };
+  }
+
+  const changed = ingestionService.changedSections(existing, data);
+  result.documentId = existing._id.toString();
+
+  if (changed.length === 0) {
+    // Re-scoring classifies unchanged rows again, typically for a subset of traits
+    if (rescore) {
+      result.outcome = 'rescored';
+      return { result, data, existing, action: 'rescore' };
+    }
+    result.outcome = 'unchanged';
+    result.sections = [];
+    return { result, data, existing, action: 'none' };
+  }
+
+  if (onChange === 'skip') {
+    result.outcome = 'ignored_change';
+    result.sections = [];
+    result.warnings.push(`Text changed in ${changed.join(', ')}; kept existing document (on_change=skip)`);
+    return { result, data, existing, action: 'none' };
+  }
+
+  result.outcome = 'updated';
+  return { result, data, existing, action: onChange };
+}
+
+/**
+ * Validate one reaction row and save its sections as a Trait document for the run
+ * A bad row never fails the batch; its outcome is recorded on the ingestion report instead
+ * @returns {Promise<Object>} Row result added to the report
+ */
+async function ingestReactionRow(item, row, report, { run, conceptCache, ...batch }) {
+  const { projectId, versionLower, project_input, concept_input, project, concept } = batch;
+  let plan;
+  try {
+    plan = await planReactionRow(item, row, batch);
+  } catch (error) {
+    console.error(`Error checking row ${row}:`, error);
+    const result = { row, hunch_id: '', status: 'error', reason: error.message, warnings: [], sections: [], outcome: null, documentId: null };
+    ingestionService.addResult(report, result);
+    return result;
+  }
+
+  const { result, data, existing, action } = plan;
+  if (action === 'none') {
+    ingestionService.addResult(report, result);
+    return result;
+  }
+
+  // Prepare data structure for saving; context text lives on the project and concept,
+  // and is copied onto the document only when there is no entity to hold it
+  const traitData = {
+    project_input: project ? undefined : project_input || '',
+    version: versionLower,
+    hunch_id: data.hunch_id,
+    project_id: projectId,
+    run_id: run._id,
+    run_sections: result.sections,
+    concept_name: data.concept_name
+  };
+
+  // Each section is saved on its own when it has text
+  if (data.initial_reaction) {
+    traitData.initial_reaction = {
+      text: data.initial_reaction,
+      traits: [],
+      genAiRecords: [],
+      reviewTags: []
+      // type: 'INITIAL_REACTION' is default in schema
+    };
+  }
+  if (data.context_prompt) {
+    traitData.context_prompt = {
+      text: data.context_prompt,
+      traits: [],
+      genAiRecords: [],
+      reviewTags: []
+      // type: 'CONTEXT_PROMPT' is default in schema
+    };
+  }
+
+  try {
+    // Reactions reference their concept by id; a fixed concept_id wins over the row's concept_name
+    const rowConcept = concept || await projectService.resolveConcept(project, data.concept_name, concept_input, conceptCache);
+    if (rowConcept) {
+      traitData.concept_id = rowConcept._id;
+      traitData.concept_name = traitData.concept_name || rowConcept.name;
+    } else {
+      traitData.concept_input = concept_input || '';
+    }
+
+    if (action === 'rescore') {
+      // Keep text and results; the new run appends records for its traits in the row's sections
+      const $set = { run_id: run._id, run_sections: result.sections, processed: false };
+      const $unset = {};
+      for (const section of result.sections) {
+        $set[`${section}.tasksCompleted`] = 0;
+        $set[`${section}.settledTasks`] = [];
+        $set[`${section}.pendingPredictions`] = [];
+        $unset[`${section}.pendingSince`] = '';
+      }
+      await Trait.updateOne({ _id: existing._id }, { $set, $unset });
+      ingestionService.addResult(report, result);
+      return result;
+    }
+
+    if (action === 'replace') {
+      // Reset the sections the row carries so they're classified again under this run;
+      // a section the row leaves out keeps its text, results and feedback
+      const $set = {
+        version: versionLower,
+        concept_id: traitData.concept_id,
+        run_id: run._id,
+        run_sections: result.sections,
+        processed: false,
+        review_status: false
+      };
+      const $unset = {};
+      // Drop a copy of the context text the entities now hold, so it can't go stale
+      for (const field of ['project_input', 'concept_input']) {
+        if (traitData[field] === undefined) {
+          $unset[field] = '';
+        } else {
+          $set[field] = traitData[field];
+        }
+      }
+      for (const section of result.sections) {
+        $set[`${section}.text`] = data[section];
+        $set[`${section}.traits`] = [];
+        $set[`${section}.genAiRecords`] = [];
+        $set[`${section}.reviewTags`] = [];
+        $set[`${section}.feedback`] = [];
+        $set[`${section}.tasksCompleted`] = 0;
+        $set[`${section}.settledTasks`] = [];
+        $set[`${section}.pendingPredictions`] = [];
+        $set[`${section}.consistency`] = [];
+        $unset[`${section}.pendingSince`] = '';
+      }
+      await Trait.updateOne({ _id: existing._id }, { $set, $unset });
+
+      ingestionService.addResult(report, result);
+      broadcastUpdate({
+        type: 'document_updated',
+        documentId: result.documentId,
+        timestamp: new Date().toISOString()
+      });
+      return result;
+    }
+
+    if (action === 'append') {
+      // Keep the old document as history and save the row as its next revision
+      await Trait.updateOne({ _id: existing._id }, { $set: { is_latest: false } });
+      traitData.revision = (existing.revision || 1) + 1;
+      traitData.previous_revision_id = existing._id;
+    }
+
+    const savedDoc = await Trait.create(traitData);
+    result.documentId = savedDoc._id.toString();
+
+    // Broadcast document created
+    broadcastUpdate({
+      type: 'document_created',
+      documentId: savedDoc._id.toString(),
+      document: {
+        _id: savedDoc._id.toString(),
+        project_input: savedDoc.project_input,
+        concept_input: savedDoc.concept_input,
+        version: savedDoc.version,
+        initial_reaction: savedDoc.initial_reaction,
+        context_prompt: savedDoc.context_prompt,
+        hunch_id: savedDoc.hunch_id,
+        project_id: savedDoc.project_id,
+        concept_name: savedDoc.concept_name,
+        concept_id: savedDoc.concept_id,
+        revision: savedDoc.revision
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error saving row ${row}:`, error);
+    result.status = 'error';
+    result.reason = error.message;
+    result.outcome = null;
+    result.sections = [];
+  }
+
+  ingestionService.addResult(report, result);
+  return result;
+}
+
+/**
+ * Validate a batch and estimate the work it would create, without writing to Mongo or enqueuing anything
+ */
+async function estimateSubmission(rows, batch) {
+  const { projectId, versionLower, project_input, concept_input, traitTitles, traitSetName, experiment } = batch;
+  const report = ingestionService.createReport();
+  const sectionTexts = { initial_reaction: [], context_prompt: [] };
+
+  let row = 0;
+  for await (const item of rows) {
+    row++;
+    let plan;
+    try {
+      plan = await planReactionRow(item, row, batch);
+    } catch (error) {
+      plan = { result: { row, hunch_id: '', status: 'error', reason: error.message, warnings: [], sections: [], outcome: null, documentId: null } };
+    }
+
+    const { result, data } = plan;
+    for (const section of result.sections) {
+      sectionTexts[section].push(gcloudService.cleanText(data[section]));
+    }
+    ingestionService.addResult(report, result);
+  }
+
+  const { initialReactionTraits, contextPromptTraits } = await selectRunTraits(traitTitles);
+  const estimate = estimateService.estimateBatch({
+    sectionTexts,
+    initialReactionTraits,
+    contextPromptTraits,
+    version: versionLower,
+    projectInput: project_input,
+    conceptInput: concept_input,
+    grouped: taskGrouping() === 'reaction' && genAiService.supportsBatch()
+  });
+
+  return {
+    success: true,
+    dryRun: true,
+    message: 'Dry run: nothing was saved or queued',
+    projectId,
+    version: versionLower,
+    traitSet: traitSetName || undefined,
+    traits: traitTitles || undefined,
+    experiment: experiment ? experiment.name : undefined,
+    documents: report.outcomes.new + report.outcomes.updated + report.outcomes.rescored,
+    estimate,
+    ingestion: {
+      summary: {
+        total: report.total,
+        accepted: report.accepted,
+        skipped: report.skipped,
+        errors: report.errors,
+        sections: report.sections,
+        outcomes: report.outcomes
+      },
+      rows: report.rows
+    }
+  };
+}
+
+// Traits a run classifies, optionally limited to a selection of titles;
+// traits without a model file can't be queued so they aren't expected either
+async function selectRunTraits(traitTitles = null) {
+  const active = await traitCatalogService.getActive();
+  const catalog = traitTitles ? active.filter(trait => traitTitles.includes(trait.title)) : active;
+  return {
+    initialReactionTraits: catalog.filter(trait => trait.initialReactionEnabled && trait.gcsFileName),
+    contextPromptTraits: catalog.filter(trait => trait.contextPromptEnabled && trait.gcsFileName)
+  };
+}
+
+// Store the ingestion summary on the run so problem rows can be fixed in the source file
+async function recordIngestion(run, report) {
+  await Run.updateOne(
+    { _id: run._id },
+    { $set: { ingestion: ingestionService.summarize(report) } }
+  );
+}
+
+/**
+ * Queue ML prediction tasks for every document of a run and start tracking its progress
+ */
+async function queueRun(run, { projectId, traitTitles }) {
+  // Fetch only the documents this submission created
+  const allSavedDocs = await Trait.find({
+    run_id: run._id,
+    project_id: projectId
+  }).lean();
+
+  // Separate initial_reaction and context_prompt data
+  const runsSection = (doc, section) => doc[section] && doc[section].text && (!doc.run_sections || doc.run_sections.includes(section));
+  const initialReactionData = allSavedDocs
+    .filter(doc => runsSection(doc, 'initial_reaction'))
+    .map(doc => ({
+      ID: doc._id.toString(),
+      comment: gcloudService.cleanText(doc.initial_reaction.text)
+    }));
+
+  const contextPromptData = allSavedDocs
+    .filter(doc => runsSection(doc, 'context_prompt'))
+    .map(doc => ({
+      ID: doc._id.toString(), // MongoDB _id as ID
+      comment: gcloudService.cleanText(doc.context_prompt.text) // text as comment
+    }));
+
+  console.log(`✅ Fetched ${allSavedDocs.length} documents from DB`);
+
+  // Get enabled traits
+  const { initialReactionTraits, contextPromptTraits } = await selectRunTraits(traitTitles);
+
+  // Calculate total tasks to be processed
+  const totalInitialTasks = initialReactionData.length * initialReactionTraits.length;
+  const totalContextTasks = contextPromptData.length * contextPromptTraits.length;
+  const expectedCount = totalInitialTasks + totalContextTasks;
+
+  await Run.updateOne(
+    { _id: run._id },
+    {
+      $set: {
+        trait_set: {
+          initial_reaction: initialReactionTraits.map(trait => trait.title),
+          context_prompt: contextPromptTraits.map(trait => trait.title)
+        },
+        document_count: allSavedDocs.length,
+        expected_count: expectedCount,
+        status: 'running',
+        started_at: new Date()
+      }
+    }
+  );
+
+  console.log(`🚀 Starting batch processing for run ${run._id}: ${expectedCount} total tasks expected (${totalInitialTasks} initial + ${totalContextTasks} context).`);
+
+  //    First: Queue initial_reaction data
+  if (initialReactionData.length > 0 && initialReactionTraits.length > 0) {
+    for (const model of initialReactionTraits) {
+      try {
+        if (model.gcsFileName && projectId) {
+          await gcloudService.queueTraitTasks(
+            initialReactionData,
+            projectId,
+            model.gcsFileName,
+            'INITIAL_REACTION',
+            run._id
+          );
+          console.log(`✅ Queued INITIAL_REACTION task for ${model.title}`);
+        }
+      } catch (error) {
+        console.error(`Error queuing INITIAL_REACTION task for ${model.title}:`, error);
+        // These items will never call back, so stop expecting them
+        await Run.updateOne(
+          { _id: run._id },
+          {
+            $inc: { expected_count: -initialReactionData.length },
+            $pull: { 'trait_set.initial_reaction': model.title }
+          }
+        );
+      }
+    }
+  }
+
+  // // Then: Queue context_prompt data
+  if (contextPromptData.length > 0 && contextPromptTraits.length > 0) {
+    for (const model of contextPromptTraits) {
+      try {
+        if (model.gcsFileName && projectId) {
+          await gcloudService.queueTraitTasks(
+            contextPromptData,
+            projectId,
+            model.gcsFileName,
+            'CONTEXT_PROMPT',
+            run._id
+          );
+          console.log(`✅ Queued CONTEXT_PROMPT task for ${model.title}`);
+
+          // Broadcast task queued
+        }
+      } catch (error) {
+        console.error(`Error queuing CONTEXT_PROMPT task for ${model.title}:`, error);
+        await Run.updateOne(
+          { _id: run._id },
+          {
+            $inc: { expected_count: -contextPromptData.length },
+            $pull: { 'trait_set.context_prompt': model.title }
+          }
+        );
+      }
+    }
+  }
+
+  // Covers empty batches and batches where every queue call failed
+  await completeRunIfDone(await Run.findById(run._id).lean());
+
+  return {
+    allSavedDocs,
+    queuedTasks: {
+      initialReaction: initialReactionData.length > 0 ? initialReactionTraits.length : 0,
+      contextPrompt: contextPromptData.length > 0 ? contextPromptTraits.length : 0
+    }
+  };
+}
+
+// Response body shared by the JSON and upload submission routes
+function buildSubmissionResponse({ run, projectId, versionLower, concept_input, report, allSavedDocs, queuedTasks }) {
+  const savedDocuments = report.rows.filter(row => ['new', 'updated', 'rescored'].includes(row.outcome));
+
+  return {
+    success: true,
+    message: 'Data saved and tasks queued successfully',
+    data: allSavedDocs.map(doc => ({
+      _id: doc._id.toString(),
+      project_input: doc.project_input,
+      concept_input: doc.concept_input,
+      version: doc.version,
+      initial_reaction: doc.initial_reaction,
+      context_prompt: doc.context_prompt,
+      hunch_id: doc.hunch_id,
+      project_id: doc.project_id,
+      concept_id: doc.concept_id,
+      concept_name: doc.concept_name,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    })),
+    count: allSavedDocs.length,
+    savedDocuments: savedDocuments.map(row => ({
+      mongoId: row.documentId,
+      type: row.sections.includes('initial_reaction') ? 'INITIAL_REACTION' : 'CONTEXT_PROMPT'
+    })),
+    projectId,
+    runId: run._id.toString(),
+    experimentId: run.experiment_id ? run.experiment_id.toString() : undefined,
+    conceptInput: concept_input,
+    version: versionLower,
+    queuedTasks,
+    ingestion: {
+      summary: {
+        total: report.total,
+        accepted: report.accepted,
+        skipped: report.skipped,
+        errors: report.errors,
+        sections: report.sections,
+        outcomes: report.outcomes
+      },
+      rows: report.rows
+    }
+  };
+}
+
+// Process traits and queue tasks to Google Cloud
+app.post('/api/traits/process', async (req, res) => {
+  try {
+    const { csv_data, concept_input, dry_run } = req.body;
+
+    // Validate required fields
+    if (!csv_data || !Array.isArray(csv_data) || csv_data.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'csv_data is required and must be a non-empty array'
+      });
+    }
+
+    const dryRun = isTruthy(dry_run);
+    const batch = await prepareBatch(req.body, { dryRun });
+    if (batch.error) {
+      return res.status(400).json({
+        success: false,
+        error: batch.error
+      });
+    }
+    const { projectId, versionLower } = batch;
+
+    if (dryRun) {
+      return res.json(await estimateSubmission(csv_data, batch));
+    }
+
+    const run = await createRun(batch);
+
+    // Validate each csv_data row and save it to database
+    const report = ingestionService.createReport();
+    const conceptCache = new Map();
+
+    for (const [index, item] of csv_data.entries()) {
+      await ingestReactionRow(item, index + 1, report, { ...batch, run, conceptCache });
+    }
+    await recordIngestion(run, report);
+
+    const { allSavedDocs, queuedTasks } = await queueRun(run, batch);
+
+    // Use already fetched documents for response
+    res.json(buildSubmissionResponse({
+      run, projectId, versionLower, concept_input, report, allSavedDocs, queuedTasks
+    }));
+  } catch (error) {
+    console.error('Error processing traits:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Accept a raw CSV/XLSX export and run it through the same flow as /api/traits/process
+// Multipart fields: column_map (JSON) plus the /api/traits/process fields, then file.
+// The file is read straight from the request, so only fields sent before it are seen
+app.post('/api/traits/upload', (req, res) => {
+  let busboy;
+  try {
+    busboy = Busboy({ headers: req.headers, limits: { files: 1, fileSize: UPLOAD_MAX_MB * 1024 * 1024 } });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  const fields = {};
+  let handling = null;
+
+  busboy.on('field', (name, value) => {
+    // Repeated fields, e.g. traits, collect into an array
+    fields[name] = name in fields ? [].concat(fields[name], value) : value;
+  });
+
+  busboy.on('file', (name, file, info) => {
+    if (name !== 'file' || handling) {
+      file.resume();
+      return;
+    }
+    handling = processUpload(fields, file, info, res)
+      .catch((error) => {
+        console.error('Error processing upload:', error);
+        if (!res.headersSent) {
+          res.status(500).json({ success: false, error: error.message });
+        }
+      })
+      // Whatever wasn't read, e.g. after an early 400, is drained so the request can finish
+      .finally(() => file.resume());
+  });
+
+  busboy.on('close', () => {
+    if (!handling && !res.headersSent) {
+      res.status(400).json({ success: false, error: 'file is required' });
+    }
+  });
+
+  busboy.on('error', (error) => {
+    if (!res.headersSent) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  req.pipe(busboy);
+});
+
+/**
+ * Ingest an uploaded spreadsheet while it streams in, then queue it like /api/traits/process
+ * Errors reading the file answer 400; anything else is left to the caller's 500
+ */
+async function processUpload(fields, file, { filename, mimeType }, res) {
+  const { concept_input, column_map, dry_run } = fields;
+
+  const format = spreadsheetService.detectFormat(filename, mimeType);
+  if (format === 'xls') {
+    return res.status(400).json({
+      success: false,
+      error: 'unsupported .xls file: save it as .xlsx or .csv and upload again'
+    });
+  }
+  if (!format) {
+    return res.status(400).json({
+      success: false,
+      error: 'file must be a CSV or XLSX spreadsheet'
+    });
+  }
+
+  let columnMap;
+  try {
+    columnMap = spreadsheetService.parseColumnMap(column_map);
+  } catch (mapError) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid column_map: ${mapError.message}`
+    });
+  }
+
+  const dryRun = isTruthy(dry_run);
+  const batch = await prepareBatch(fields, { dryRun });
+  if (batch.error) {
+    return res.status(400).json({
+      success: false,
+      error: batch.error
+    });
+  }
+  const { projectId, versionLower } = batch;
+
+  // Going over the size cap fails the read rather than ingesting a cut-off file
+  const source = file.pipe(new PassThrough());
+  file.on('limit', () => source.destroy(new Error(`file is larger than ${UPLOAD_MAX_MB}MB`)));
+
+  if (dryRun) {
+    try {
+      const rows = spreadsheetService.readRows(source, { format, columnMap });
+      return res.json(await estimateSubmission(rows, batch));
+    } catch (error) {
+      if (!error.invalidFile) throw error;
+      return res.status(400).json({
+        success: false,
+        error: `Could not read file: ${error.message}`
+      });
+    }
+  }
+
+  const run = await createRun(batch);
+
+  const report = ingestionService.createReport();
+  const conceptCache = new Map();
+  let rowCount = 0;
+
+  try {
+    for await (const item of spreadsheetService.readRows(source, { format, columnMap })) {
+      rowCount++;
+      await ingestReactionRow(item, rowCount, report, { ...batch, run, conceptCache });
+    }
+  } catch (error) {
+    await recordIngestion(run, report);
+    await Run.updateOne({ _id: run._id }, { $set: { status: 'failed', error: error.message } });
+    if (!error.invalidFile) throw error;
+    return res.status(400).json({
+      success: false,
+      error: `Could not read file: ${error.message}`,
+      runId: run._id.toString(),
+      rowsRead: rowCount
+    });
+  }
+  await recordIngestion(run, report);
+
+  if (rowCount === 0) {
+    await Run.updateOne({ _id: run._id }, { $set: { status: 'failed', error: 'File has no data rows' } });
+    return res.status(400).json({
+      success: false,
+      error: 'File has no data rows'
+    });
+  }
+
+  const { allSavedDocs, queuedTasks } = await queueRun(run, batch);
+
+  res.json({
+    ...buildSubmissionResponse({
+      run, projectId, versionLower, concept_input, report, allSavedDocs, queuedTasks
+    }),
+    rowsRead: rowCount
+  });
+}
+
+app.use(express.text({ type: '*/*' }));
+
+app.post('/trait-prediction', async (req, res) => {
+  try {
+    const { data, model_filename, type, project_id } = req.body;
+    const run_id = req.query.run_id || req.body.run_id;
+    if (!Array.isArray(data)) {
+      return res.status(400).json({ success: false });
+    }
+
+    // ✅ respond immediately
+    res.status(200).json({
+      success: true,
+      queued: data.length
+    });
+
+    await handleTraitPredictions({ data, model_filename, type, project_id, run_id });
+  } catch (err) {
+    console.error(err);
+  }
+});
+
+/**
+ * Queue GenAI validation for the predictions one ML callback reported
+ * Shared by the /trait-prediction callback and the local queue
+ */
+async function handleTraitPredictions({ data, model_filename, type, project_id, run_id }) {
+  const run = run_id && projectService.isObjectId(String(run_id))
+    ? await Run.findById(run_id).select('task_grouping trait_set').lean()
+    : null;
+  const section = type === 'INITIAL_REACTION' ? 'initial_reaction' : type === 'CONTEXT_PROMPT' ? 'context_prompt' : null;
+
+  // Grouped runs hold each prediction on its reaction until the last trait reports
+  if (run && run.task_grouping === 'reaction' && section) {
+    const expected = ((run.trait_set && run.trait_set[section]) || []).length;
+
+    for (const item of data) {
+      if (!item || !projectService.isObjectId(String(item.ID))) {
+        console.error('❌ Skipping prediction without a valid ID', item);
+        continue;
+      }
+
+      const predictions = await collectPrediction(item, model_filename, section, expected);
+      if (!predictions) continue;
+
+      await genAiQueue.enqueueGenAi({
+        document_id: item.ID,
+        type,
+        project_id,
+        run_id,
+        predictions
+      });
+    }
+    return;
+  }
+
+  for (const item of data) {
+    await genAiQueue.enqueueGenAi({
+      item,
+      model_filename,
+      type,
+      project_id,
+      run_id
+    });
+  }
+}
+
+// Get reactions data
+app.get('/api/reactions/initial', (req, res) => {
+  res.json({
+    success: true,
+    count: initialReactions.filter(r => r).length,
+    data: initialReactions.filter(r => r)
+  });
+});
+
+app.get('/api/reactions/context', (req, res) => {
+  res.json({
+    success: true,
+    count: contextPrompts.length,
+    data: contextPrompts
+  });
+});
+
+// ==================== Trait Database Fetch APIs ====================
+// Add feedback to a specific trait's genAiRecords entry
+// Body: { documentId, traitName, feedback, type: 'INITIAL_REACTION' | 'CONTEXT_PROMPT' }
+app.post('/api/traits/feedback', async (req, res) => {
+  try {
+    const { documentId, traitName, feedback, type, genAiRecordId, isTraitValidationIncorrect } = req.body;
+
+    if (!documentId || !traitName || !type) {
+      return res.status(400).json({
+        success: false,
+        error: 'documentId, traitName, and type are required'
+      });
+    }
+
+    const targetType = type === 'INITIAL_REACTION' ? 'initial_reaction'
+      : type === 'CONTEXT_PROMPT' ? 'context_prompt'
+        : null;
+
+    if (!targetType) {
+      return res.status(400).json({ success: false, error: 'type must be INITIAL_REACTION or CONTEXT_PROMPT' });
+    }
+
+    const doc = await Trait.findById(documentId);
+    if (!doc) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+
+    const target = doc[targetType];
+    if (!target || !Array.isArray(target.genAiRecords)) {
+      return res.status(404).json({ success: false, error: `No genAiRecords found for type ${type}` });
     }
 
     // Find the most recent matching record by traitTitle
     const idx = [...target.genAiRecords].reverse().findIndex(
       r => r.traitTitle === traitName
     );
-    if (idx === -1) {
-      return res.status(404).json({ success: false, error: `genAiRecord for trait ${traitName} not found` });
+    if (idx === -1) {
+      return res.status(404).json({ success: false, error: `genAiRecord for trait ${traitName} not found` });
+    }
+
+    // Map back to original index
+    const recordIndex = target.genAiRecords.length - 1 - idx;
+    const existing = target.genAiRecords[recordIndex] || {};
+
+    // Calculate new values
+    const currentFinalScore = existing.finalScore ?? 0;
+    const newFinalScore = isTraitValidationIncorrect; // Frontend sends 0 or 1 directly
+    const newAction = newFinalScore !== currentFinalScore ? 'Score change via feedback' : (existing.action ?? 'No change');
+
+    const newGenAiSays = {
+      ...existing.genAiSays,
+      validationIncorrect: isTraitValidationIncorrect
+    };
+
+    const historyEntry = {
+      finalScore: currentFinalScore,
+      action: newAction,
+      feedback: feedback,
+      genAiSays: newGenAiSays,
+      timestamp: new Date()
+    };
+
+    const history = existing.history ? [...existing.history] : [];
+    history.push(historyEntry);
+
+    // Update the record
+    const recordToUpdate = existing.toObject ? existing.toObject() : { ...existing };
+
+    target.genAiRecords[recordIndex] = {
+      ...recordToUpdate,
+      llmScore: existing.llmScore ?? 0,
+      traitTitle: existing.traitTitle ?? traitName,
+      finalScore: newFinalScore,
+      action: newAction,
+      isTraitValidationIncorrect: isTraitValidationIncorrect,
+      feedback,
+      history: history
+    };
+
+    // Update traits array based on new finalScore
+    const hasTrait = target.traits.includes(traitName);
+    if (newFinalScore === 1 && !hasTrait) {
+      target.traits.push(traitName);
+    } else if (newFinalScore === 0 && hasTrait) {
+      target.traits = target.traits.filter(t => t !== traitName);
+    }
+
+    await doc.save();
+
+    // Broadcast update to all connected clients
+    broadcastUpdate({
+      type: 'feedback_added',
+      documentId: documentId,
+      traitName: traitName,
+      feedbackType: type,
+      updatedDoc: doc,
+      timestamp: new Date().toISOString()
+    });
+
+    return res.json({
+      success: true,
+      message: 'Feedback added to genAiRecord',
+      updatedDoc: doc
+    });
+  } catch (error) {
+    console.error('Error adding feedback:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Store manual feedback based on type
+// Body: { traitName, feedback, documentId, type }
+app.post('/api/traits/store-feedback', async (req, res) => {
+  try {
+    const { feedbackArray } = req.body;
+
+    // Support both array format and single item format (backward compatibility)
+    let items = [];
+    if (feedbackArray && Array.isArray(feedbackArray)) {
+      items = feedbackArray;
+    } else if (req.body.traitName && req.body.documentId) {
+      // Single item format (backward compatibility)
+      items = [req.body];
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'feedbackArray (array) or single feedback item (traitName, feedback, documentId, type) is required'
+      });
+    }
+
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one feedback item is required'
+      });
+    }
+
+    // Get documentId from first item
+    const firstItem = items[0];
+    const documentId = firstItem.documentId;
+
+    if (!documentId) {
+      return res.status(400).json({
+        success: false,
+        error: 'documentId is required in feedback items'
+      });
+    }
+
+    // Find document once
+    const doc = await Trait.findById(documentId);
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        error: `Document not found for ID: ${documentId}`
+      });
+    }
+
+    // Process all items and group by type
+    const feedbackByType = {
+      INITIAL_REACTION: [],
+      CONTEXT_PROMPT: []
+    };
+
+    for (const item of items) {
+      const { traitName, feedback, type, shouldExist } = item;
+
+      if (!traitName || !feedback || !type) {
+        console.warn('Skipping invalid item:', item);
+        continue;
+      }
+
+      if (type !== 'INITIAL_REACTION' && type !== 'CONTEXT_PROMPT') {
+        console.warn('Skipping item with invalid type:', item);
+        continue;
+      }
+
+      feedbackByType[type].push({
+        trait: traitName,
+        text: feedback,
+        shouldExist: shouldExist !== undefined ? shouldExist : true
+      });
+    }
+
+    // Add feedback to appropriate target objects
+    let addedCount = 0;
+
+    if (feedbackByType.INITIAL_REACTION.length > 0) {
+      if (!doc.initial_reaction) {
+        doc.initial_reaction = { feedback: [] };
+      }
+      if (!doc.initial_reaction.feedback) {
+        doc.initial_reaction.feedback = [];
+      }
+      doc.initial_reaction.feedback.push(...feedbackByType.INITIAL_REACTION);
+      addedCount += feedbackByType.INITIAL_REACTION.length;
+    }
+
+    if (feedbackByType.CONTEXT_PROMPT.length > 0) {
+      if (!doc.context_prompt) {
+        doc.context_prompt = { feedback: [] };
+      }
+      if (!doc.context_prompt.feedback) {
+        doc.context_prompt.feedback = [];
+      }
+      doc.context_prompt.feedback.push(...feedbackByType.CONTEXT_PROMPT);
+      addedCount += feedbackByType.CONTEXT_PROMPT.length;
+    }
+
+    // Save once
+    await doc.save();
+
+    res.json({
+      success: true,
+      message: 'Feedback stored successfully',
+      added: addedCount,
+      total: items.length,
+      updatedDoc: doc
+    });
+
+  } catch (error) {
+    console.error('Error storing feedback:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+// Get all trait documents from database
+app.get('/api/traits/db', async (req, res) => {
+  try {
+    const traits = await Trait.find()
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: traits.length,
+      data: traits
+    });
+  } catch (error) {
+    console.error('Error fetching traits from database:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get trait by ID
+app.get('/api/traits/db/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const trait = await Trait.findById(id).lean();
+
+    if (!trait) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trait not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: trait
+    });
+  } catch (error) {
+    console.error('Error fetching trait by ID:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get traits by type
+app.get('/api/traits/db/type/:type', async (req, res) => {
+  try {
+    const { type } = req.params;
+    const query = { type: type.toUpperCase() };
+
+    const traits = await Trait.find(query)
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: traits.length,
+      data: traits
+    });
+  } catch (error) {
+    console.error('Error fetching traits by type:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get traits containing specific trait name
+app.get('/api/traits/db/trait/:traitName', async (req, res) => {
+  try {
+    const { traitName } = req.params;
+    const query = { traits: { $in: [traitName] } };
+
+    const traits = await Trait.find(query)
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: traits.length,
+      data: traits
+    });
+  } catch (error) {
+    console.error('Error fetching traits by trait name:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get traits needing review
+app.get('/api/traits/db/review', async (req, res) => {
+  try {
+    const query = { reviewTags: { $exists: true, $ne: [] } };
+
+    const traits = await Trait.find(query)
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: traits.length,
+      data: traits
+    });
+  } catch (error) {
+    console.error('Error fetching traits needing review:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Update review status
+app.post('/api/traits/status', async (req, res) => {
+  try {
+    const { documentId, isReviewed } = req.body;
+
+    if (!documentId) {
+      return res.status(400).json({
+        success: false,
+        error: 'documentId is required'
+      });
+    }
+
+    const updatedDoc = await Trait.findByIdAndUpdate(
+      documentId,
+      { $set: { review_status: !!isReviewed } },
+      { new: true }
+    );
+
+    if (!updatedDoc) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    broadcastUpdate({
+      type: 'review_status_updated',
+      documentId: documentId,
+      updatedDoc: updatedDoc,
+      timestamp: new Date().toISOString()
+    });
+
+   return res.json({
+      success: true,
+      message: 'Review status updated successfully',
+      data: updatedDoc
+    });
+  } catch (error) {
+    console.error('Error updating review status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get statistics/summary
+app.get('/api/traits/db/stats', async (req, res) => {
+  try {
+    const totalTraits = await Trait.countDocuments({ processed: false });
+    const initialReactionCount = await Trait.countDocuments({ type: 'INITIAL_REACTION' });
+    const contextPromptCount = await Trait.countDocuments({ type: 'CONTEXT_PROMPT' });
+    const reviewNeededCount = await Trait.countDocuments({ reviewTags: { $exists: true, $ne: [] } });
+
+    // Get unique trait names
+    const traitNames = await Trait.distinct('traits');
+    const traitCounts = {};
+
+    for (const traitName of traitNames) {
+      if (traitName) {
+        traitCounts[traitName] = await Trait.countDocuments({ traits: { $in: [traitName] } });
+      }
+    }
+
+    res.json({
+      success: true,
+      stats: {
+        totalDocuments: totalTraits,
+        byType: {
+          initialReaction: initialReactionCount,
+          contextPrompt: contextPromptCount
+        },
+        reviewNeeded: reviewNeededCount,
+        traitDistribution: traitCounts
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trait statistics:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+// ==================== Trait Rule APIs ====================
+// List conflict rules
+app.get('/api/trait-rules', async (req, res) => {
+  try {
+    const rules = await traitRuleService.getAll();
+
+    res.json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Error fetching trait rules:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create a conflict rule
+// Body: { name, type: 'exclusive', traits: [...] } or { name, type: 'implies', when, then: [...] }, plus optional sections, description, enabled
+app.post('/api/trait-rules', async (req, res) => {
+  try {
+    const rule = traitRuleService.pickEditable(req.body);
+    if (!rule.name) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required'
+      });
+    }
+
+    const invalid = traitRuleService.validate(rule, await traitCatalogService.getAll());
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    const created = await traitRuleService.create(rule);
+
+    res.status(201).json({
+      success: true,
+      data: created
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'A rule with this name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Error creating trait rule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Update a conflict rule
+app.put('/api/trait-rules/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid rule id' });
+    }
+
+    const existing = (await traitRuleService.getAll()).find(rule => rule._id.toString() === id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    const update = traitRuleService.pickEditable(req.body);
+    const invalid = traitRuleService.validate({ ...existing, ...update }, await traitCatalogService.getAll());
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    const rule = await traitRuleService.update(id, update);
+
+    res.json({
+      success: true,
+      message: 'Rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'A rule with this name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Error updating trait rule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delete a conflict rule; rules seeded from traitRules.js come back on restart, disable those instead
+app.delete('/api/trait-rules/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid rule id' });
+    }
+
+    const rule = await traitRuleService.remove(id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting trait rule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== GenAI APIs ====================
+// Classifier provider, retry settings, circuit breaker state and limiter usage
+app.get('/api/genai/status', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        ...await genAiService.getStatus(),
+        queue: taskQueueService.getStatus(),
+        jobs: await genAiJobService.getStatus()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching GenAI status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List GenAI jobs with the counts per state
+// Query: ?run_id=&status=queued|running|succeeded|failed|dead_lettered&limit=100
+app.get('/api/genai/jobs', async (req, res) => {
+  try {
+    const { run_id, status } = req.query;
+    const filter = {};
+    if (run_id) {
+      if (!projectService.isObjectId(run_id)) {
+        return res.status(400).json({ success: false, error: 'Invalid run_id' });
+      }
+      filter.run_id = run_id;
+    }
+    if (status) filter.status = status;
+
+    const [jobs, counts] = await Promise.all([
+      GenAiJob.find(filter)
+        .sort({ updatedAt: -1 })
+        .limit(Math.min(Number(req.query.limit) || 100, 1000))
+        .lean(),
+      genAiJobService.getStatus(run_id)
+    ]);
+
+    res.json({
+      success: true,
+      counts,
+      count: jobs.length,
+      data: jobs
+    });
+  } catch (error) {
+    console.error('Error fetching GenAI jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List recorded GenAI failures
+// Query: ?run_id=&status=failed|retrying|resolved&limit=100
+app.get('/api/genai/failures', async (req, res) => {
+  try {
+    const { run_id, status, reason } = req.query;
+    const filter = {};
+    if (run_id) {
+      if (!projectService.isObjectId(run_id)) {
+        return res.status(400).json({ success: false, error: 'Invalid run_id' });
+      }
+      filter.run_id = run_id;
+    }
+    if (status) filter.status = status;
+    if (reason) filter.reason = reason;
+
+    const failures = await GenAiFailure.find(filter)
+      .sort({ last_failed_at: -1 })
+      .limit(Math.min(Number(req.query.limit) || 100, 1000))
+      .lean();
+
+    res.json({
+      success: true,
+      count: failures.length,
+      data: failures
+    });
+  } catch (error) {
+    console.error('Error fetching GenAI failures:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Retry failed validations in the background
+// Body: { ids: [...] } or { run_id } (all failed items of the run), optional limit (default 500)
+app.post('/api/genai/failures/retry', async (req, res) => {
+  try {
+    const { ids, run_id } = req.body;
+    const limit = Math.min(Number(req.body.limit) || 500, 5000);
+
+    const filter = { status: 'failed' };
+    if (Array.isArray(ids) && ids.length > 0) {
+      if (!ids.every(id => projectService.isObjectId(id))) {
+        return res.status(400).json({ success: false, error: 'ids must be failure ids' });
+      }
+      filter._id = { $in: ids };
+    } else if (run_id) {
+      if (!projectService.isObjectId(run_id)) {
+        return res.status(400).json({ success: false, error: 'Invalid run_id' });
+      }
+      filter.run_id = run_id;
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'ids or run_id is required'
+      });
+    }
+
+    const candidates = await GenAiFailure.find(filter).select('_id').limit(limit).lean();
+    const claimed = [];
+    for (const candidate of candidates) {
+      const failure = await GenAiFailure.claim(candidate._id);
+      if (failure) claimed.push(failure);
+    }
+
+    res.json({
+      success: true,
+      message: `Retrying ${claimed.length} failed validation(s)`,
+      retrying: claimed.length,
+      circuit: genAiService.breaker.getStatus()
+    });
+
+    // One at a time so a retry storm doesn't hit a classifier that just recovered
+    setImmediate(async () => {
+      for (const failure of claimed) {
+        try {
+          await retryFailedValidation(failure);
+        } catch (retryError) {
+          console.error(`❌ Retry crashed for failure ${failure._id}:`, retryError);
+          await GenAiFailure.updateOne(
+            { _id: failure._id, status: 'retrying' },
+            { $set: { status: 'failed', error: retryError.message } }
+          ).catch(() => {});
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error retrying GenAI failures:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// How well GenAI confidence matches reviewer verdicts, per trait, with a suggested threshold
+// Query: trait, type, project_id, buckets (default 10), target_precision (default 0.9), min_samples (default 20)
+app.get('/api/genai/calibration', async (req, res) => {
+  try {
+    const { trait, type, project_id } = req.query;
+    if (type && !['INITIAL_REACTION', 'CONTEXT_PROMPT'].includes(type)) {
+      return res.status(400).json({ success: false, error: 'type must be INITIAL_REACTION or CONTEXT_PROMPT' });
     }
 
-    // Map back to original index
-    const recordIndex = target.genAiRecords.length - 1 - idx;
-    const existing = target.genAiRecords[recordIndex] || {};
+    const bucketCount = req.query.buckets !== undefined ? Number(req.query.buckets) : 10;
+    if (!Number.isInteger(bucketCount) || bucketCount < 1 || bucketCount > 100) {
+      return res.status(400).json({ success: false, error: 'buckets must be an integer between 1 and 100' });
+    }
+    const targetPrecision = req.query.target_precision !== undefined ? Number(req.query.target_precision) : 0.9;
+    if (!(targetPrecision > 0 && targetPrecision <= 1)) {
+      return res.status(400).json({ success: false, error: 'target_precision must be between 0 and 1' });
+    }
+    const minSamples = req.query.min_samples !== undefined ? Number(req.query.min_samples) : 20;
+    if (!Number.isInteger(minSamples) || minSamples < 1) {
+      return res.status(400).json({ success: false, error: 'min_samples must be a positive integer' });
+    }
 
-    // Calculate new values
-    const currentFinalScore = existing.finalScore ?? 0;
-    const newFinalScore = isTraitValidationIncorrect; // Frontend sends 0 or 1 directly
-    const newAction = newFinalScore !== currentFinalScore ? 'Score change via feedback' : (existing.action ?? 'No change');
+    const report = await calibrationService.report({
+      traitTitle: trait,
+      type,
+      projectId: project_id,
+      bucketCount,
+      targetPrecision,
+      minSamples
+    });
 
-    const newGenAiSays = {
-      ...existing.genAiSays,
-      validationIncorrect: isTraitValidationIncorrect
-    };
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error building calibration report:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    const historyEntry = {
-      finalScore: currentFinalScore,
-      action: newAction,
-      feedback: feedback,
-      genAiSays: newGenAiSays,
-      timestamp: new Date()
-    };
+// ==================== Trait Set APIs ====================
+// List named trait selections
+app.get('/api/trait-sets', async (req, res) => {
+  try {
+    const sets = await TraitSet.find().sort({ name: 1 }).lean();
 
-    const history = existing.history ? [...existing.history] : [];
-    history.push(historyEntry);
+    res.json({
+      success: true,
+      count: sets.length,
+      data: sets
+    });
+  } catch (error) {
+    console.error('Error fetching trait sets:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    // Update the record
-    const recordToUpdate = existing.toObject ? existing.toObject() : { ...existing };
+// Create a trait set
+// Body: { name, description, traits: [titles or ids] }
+app.post('/api/trait-sets', async (req, res) => {
+  try {
+    const { name, description, traits: requestedTraits } = req.body;
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required'
+      });
+    }
 
-    target.genAiRecords[recordIndex] = {
-      ...recordToUpdate,
-      llmScore: existing.llmScore ?? 0,
-      traitTitle: existing.traitTitle ?? traitName,
-      finalScore: newFinalScore,
-      action: newAction,
-      isTraitValidationIncorrect: isTraitValidationIncorrect,
-      feedback,
-      history: history
-    };
+    const selection = await traitCatalogService.validateSelection(requestedTraits);
+    if (selection.error) {
+      return res.status(400).json({
+        success: false,
+        error: selection.error
+      });
+    }
 
-    // Update traits array based on new finalScore
-    const hasTrait = target.traits.includes(traitName);
-    if (newFinalScore === 1 && !hasTrait) {
-      target.traits.push(traitName);
-    } else if (newFinalScore === 0 && hasTrait) {
-      target.traits = target.traits.filter(t => t !== traitName);
+    const set = await TraitSet.create({ name, description, traits: selection.titles });
+
+    res.status(201).json({
+      success: true,
+      data: set
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'A trait set with this name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Error creating trait set:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Update a trait set
+app.put('/api/trait-sets/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid trait set id' });
     }
 
-    await doc.save();
+    const update = {};
+    for (const field of ['name', 'description']) {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    }
+    if (req.body.traits !== undefined) {
+      const selection = await traitCatalogService.validateSelection(req.body.traits);
+      if (selection.error) {
+        return res.status(400).json({
+          success: false,
+          error: selection.error
+        });
+      }
+      update.traits = selection.titles;
+    }
 
-    // Broadcast update to all connected clients
-    broadcastUpdate({
-      type: 'feedback_added',
-      documentId: documentId,
-      traitName: traitName,
-      feedbackType: type,
-      updatedDoc: doc,
-      timestamp: new Date().toISOString()
+    const set = await TraitSet.findByIdAndUpdate(id, { $set: update }, { new: true, runValidators: true }).lean();
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trait set not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Trait set updated successfully',
+      data: set
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'A trait set with this name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Error updating trait set:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
+  }
+});
 
-    return res.json({
+// Delete a trait set; runs keep the name they were submitted with
+app.delete('/api/trait-sets/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid trait set id' });
+    }
+
+    const set = await TraitSet.findByIdAndDelete(id).lean();
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trait set not found'
+      });
+    }
+
+    res.json({
       success: true,
-      message: 'Feedback added to genAiRecord',
-      updatedDoc: doc
+      message: 'Trait set deleted successfully'
     });
   } catch (error) {
-    console.error('Error adding feedback:', error);
-    return res.status(500).json({ success: false, error: error.message });
+    console.error('Error deleting trait set:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== Experiment APIs ====================
+// List experiments
+app.get('/api/experiments', async (req, res) => {
+  try {
+    const experiments = await Experiment.find().sort({ createdAt: -1 }).lean();
+
+    res.json({
+      success: true,
+      count: experiments.length,
+      data: experiments
+    });
+  } catch (error) {
+    console.error('Error fetching experiments:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create an experiment
+// Body: { name, description, share, traits, treatment: { version, trait_overrides: [{ trait, trait_definition, trait_examples }] } }
+app.post('/api/experiments', async (req, res) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required'
+      });
+    }
+    if (!req.body.treatment) {
+      return res.status(400).json({
+        success: false,
+        error: 'treatment is required'
+      });
+    }
+
+    const validation = await experimentService.validate(req.body);
+    if (validation.error) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const experiment = await Experiment.create(validation.update);
+
+    res.status(201).json({
+      success: true,
+      data: experiment
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'An experiment with this name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Error creating experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Update an experiment, e.g. { "status": "stopped" } to stop shadowing runs already in progress
+app.put('/api/experiments/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid experiment id' });
+    }
+
+    const validation = await experimentService.validate(req.body);
+    if (validation.error) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const experiment = await Experiment.findByIdAndUpdate(id, { $set: validation.update }, { new: true, runValidators: true }).lean();
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Experiment updated successfully',
+      data: experiment
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'An experiment with this name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Error updating experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Agreement and disagreement between the arms per trait
+// Query: run_id, type (INITIAL_REACTION or CONTEXT_PROMPT)
+app.get('/api/experiments/:id/report', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { run_id, type } = req.query;
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid experiment id' });
+    }
+    if (run_id && !projectService.isObjectId(run_id)) {
+      return res.status(400).json({ success: false, error: 'Invalid run_id' });
+    }
+    if (type && !['INITIAL_REACTION', 'CONTEXT_PROMPT'].includes(type)) {
+      return res.status(400).json({ success: false, error: 'type must be INITIAL_REACTION or CONTEXT_PROMPT' });
+    }
+
+    const experiment = await Experiment.findById(id).lean();
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await experimentService.report(experiment, { runId: run_id, type })
+    });
+  } catch (error) {
+    console.error('Error building experiment report:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== Project & Concept APIs ====================
+// List projects
+app.get('/api/projects', async (req, res) => {
+  try {
+    const projects = await Project.find()
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: projects.length,
+      data: projects
+    });
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
 });
 
-// Store manual feedback based on type
-// Body: { traitName, feedback, documentId, type }
-app.post('/api/traits/store-feedback', async (req, res) => {
+// Create a project
+// Body: { _id?, name, description }; _id lets existing external project ids be kept
+app.post('/api/projects', async (req, res) => {
   try {
-    const { feedbackArray } = req.body;
+    const { _id, name, description } = req.body;
 
-    // Support both array format and single item format (backward compatibility)
-    let items = [];
-    if (feedbackArray && Array.isArray(feedbackArray)) {
-      items = feedbackArray;
-    } else if (req.body.traitName && req.body.documentId) {
-      // Single item format (backward compatibility)
-      items = [req.body];
-    } else {
+    if (!name) {
       return res.status(400).json({
         success: false,
-        error: 'feedbackArray (array) or single feedback item (traitName, feedback, documentId, type) is required'
+        error: 'name is required'
       });
     }
 
-    if (items.length === 0) {
+    if (_id && !projectService.isObjectId(_id)) {
       return res.status(400).json({
         success: false,
-        error: 'At least one feedback item is required'
+        error: '_id must be a valid ObjectId'
       });
     }
 
-    // Get documentId from first item
-    const firstItem = items[0];
-    const documentId = firstItem.documentId;
+    const project = await Project.create({ ...(_id ? { _id } : {}), name, description });
 
-    if (!documentId) {
-      return res.status(400).json({
-        success: false,
-        error: 'documentId is required in feedback items'
-      });
+    res.status(201).json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'Project already exists' });
+    }
+    console.error('Error creating project:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get a project with its concepts
+app.get('/api/projects/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid project id' });
     }
 
-    // Find document once
-    const doc = await Trait.findById(documentId);
-    if (!doc) {
+    const project = await Project.findById(id).lean();
+    if (!project) {
       return res.status(404).json({
         success: false,
-        error: `Document not found for ID: ${documentId}`
+        error: 'Project not found'
       });
     }
 
-    // Process all items and group by type
-    const feedbackByType = {
-      INITIAL_REACTION: [],
-      CONTEXT_PROMPT: []
-    };
+    const concepts = await Concept.find({ project_id: id }).sort({ name: 1 }).lean();
 
-    for (const item of items) {
-      const { traitName, feedback, type, shouldExist } = item;
+    res.json({
+      success: true,
+      data: { ...project, concepts }
+    });
+  } catch (error) {
+    console.error('Error fetching project by ID:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-      if (!traitName || !feedback || !type) {
-        console.warn('Skipping invalid item:', item);
-        continue;
-      }
+// Update a project's name/description
+app.put('/api/projects/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid project id' });
+    }
 
-      if (type !== 'INITIAL_REACTION' && type !== 'CONTEXT_PROMPT') {
-        console.warn('Skipping item with invalid type:', item);
-        continue;
-      }
+    const update = {};
+    if (req.body.name !== undefined) update.name = req.body.name;
+    if (req.body.description !== undefined) update.description = req.body.description;
 
-      feedbackByType[type].push({
-        trait: traitName,
-        text: feedback,
-        shouldExist: shouldExist !== undefined ? shouldExist : true
+    const project = await Project.findByIdAndUpdate(id, { $set: update }, { new: true, runValidators: true });
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found'
       });
     }
 
-    // Add feedback to appropriate target objects
-    let addedCount = 0;
+    res.json({
+      success: true,
+      message: 'Project updated successfully',
+      data: project
+    });
+  } catch (error) {
+    console.error('Error updating project:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    if (feedbackByType.INITIAL_REACTION.length > 0) {
-      if (!doc.initial_reaction) {
-        doc.initial_reaction = { feedback: [] };
-      }
-      if (!doc.initial_reaction.feedback) {
-        doc.initial_reaction.feedback = [];
-      }
-      doc.initial_reaction.feedback.push(...feedbackByType.INITIAL_REACTION);
-      addedCount += feedbackByType.INITIAL_REACTION.length;
+// Delete a project and its concepts; refused while reactions still reference it
+app.delete('/api/projects/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid project id' });
     }
 
-    if (feedbackByType.CONTEXT_PROMPT.length > 0) {
-      if (!doc.context_prompt) {
-        doc.context_prompt = { feedback: [] };
-      }
-      if (!doc.context_prompt.feedback) {
-        doc.context_prompt.feedback = [];
-      }
-      doc.context_prompt.feedback.push(...feedbackByType.CONTEXT_PROMPT);
-      addedCount += feedbackByType.CONTEXT_PROMPT.length;
+    const reactionCount = await Trait.countDocuments({ project_id: id });
+    if (reactionCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Project is referenced by ${reactionCount} reaction(s)`
+      });
     }
 
-    // Save once
-    await doc.save();
+    const project = await Project.findByIdAndDelete(id);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found'
+      });
+    }
+    const concepts = await Concept.deleteMany({ project_id: id });
 
     res.json({
       success: true,
-      message: 'Feedback stored successfully',
-      added: addedCount,
-      total: items.length,
-      updatedDoc: doc
+      message: 'Project deleted successfully',
+      deletedConcepts: concepts.deletedCount
     });
-
   } catch (error) {
-    console.error('Error storing feedback:', error);
+    console.error('Error deleting project:', error);
     res.status(500).json({
       success: false,
       error: error.message
     });
   }
 });
-// Get all trait documents from database
-app.get('/api/traits/db', async (req, res) => {
+
+// List a project's concepts
+app.get('/api/projects/:id/concepts', async (req, res) => {
   try {
-    const traits = await Trait.find()
-      .sort({ createdAt: -1 })
-      .lean();
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid project id' });
+    }
+
+    const concepts = await Concept.find({ project_id: id }).sort({ name: 1 }).lean();
 
     res.json({
       success: true,
-      count: traits.length,
-      data: traits
+      count: concepts.length,
+      data: concepts
     });
   } catch (error) {
-    console.error('Error fetching traits from database:', error);
+    console.error('Error fetching concepts:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -717,26 +2776,42 @@ app.get('/api/traits/db', async (req, res) => {
   }
 });
 
-// Get trait by ID
-app.get('/api/traits/db/:id', async (req, res) => {
+// Create a concept in a project
+// Body: { name, description }
+app.post('/api/projects/:id/concepts', async (req, res) => {
   try {
     const { id } = req.params;
+    const { name, description } = req.body;
 
-    const trait = await Trait.findById(id).lean();
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid project id' });
+    }
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required'
+      });
+    }
 
-    if (!trait) {
+    const project = await Project.findById(id).lean();
+    if (!project) {
       return res.status(404).json({
         success: false,
-        error: 'Trait not found'
+        error: 'Project not found'
       });
     }
 
-    res.json({
+    const concept = await Concept.create({ project_id: id, name, description });
+
+    res.status(201).json({
       success: true,
-      data: trait
+      data: concept
     });
   } catch (error) {
-    console.error('Error fetching trait by ID:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'A concept with this name already exists in the project' });
+    }
+    console.error('Error creating concept:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -744,23 +2819,30 @@ app.get('/api/traits/db/:id', async (req, res) => {
   }
 });
 
-// Get traits by type
-app.get('/api/traits/db/type/:type', async (req, res) => {
+// Get a concept with its reaction count
+app.get('/api/concepts/:id', async (req, res) => {
   try {
-    const { type } = req.params;
-    const query = { type: type.toUpperCase() };
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid concept id' });
+    }
 
-    const traits = await Trait.find(query)
-      .sort({ createdAt: -1 })
-      .lean();
+    const concept = await Concept.findById(id).lean();
+    if (!concept) {
+      return res.status(404).json({
+        success: false,
+        error: 'Concept not found'
+      });
+    }
+
+    const reactionCount = await Trait.countDocuments({ concept_id: id });
 
     res.json({
       success: true,
-      count: traits.length,
-      data: traits
+      data: { ...concept, reactionCount }
     });
   } catch (error) {
-    console.error('Error fetching traits by type:', error);
+    console.error('Error fetching concept by ID:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -768,23 +2850,41 @@ app.get('/api/traits/db/type/:type', async (req, res) => {
   }
 });
 
-// Get traits containing specific trait name
-app.get('/api/traits/db/trait/:traitName', async (req, res) => {
+// Update a concept; description edits apply to every reaction referencing it on the next classification
+app.put('/api/concepts/:id', async (req, res) => {
   try {
-    const { traitName } = req.params;
-    const query = { traits: { $in: [traitName] } };
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid concept id' });
+    }
 
-    const traits = await Trait.find(query)
-      .sort({ createdAt: -1 })
-      .lean();
+    const update = {};
+    if (req.body.name !== undefined) update.name = req.body.name;
+    if (req.body.description !== undefined) update.description = req.body.description;
+
+    const concept = await Concept.findByIdAndUpdate(id, { $set: update }, { new: true, runValidators: true });
+    if (!concept) {
+      return res.status(404).json({
+        success: false,
+        error: 'Concept not found'
+      });
+    }
+
+    // Keep the denormalized name on reactions in step for grouping and idempotent re-submission
+    if (update.name !== undefined) {
+      await Trait.updateMany({ concept_id: id }, { $set: { concept_name: concept.name } });
+    }
 
     res.json({
       success: true,
-      count: traits.length,
-      data: traits
+      message: 'Concept updated successfully',
+      data: concept
     });
   } catch (error) {
-    console.error('Error fetching traits by trait name:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'A concept with this name already exists in the project' });
+    }
+    console.error('Error updating concept:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -792,22 +2892,36 @@ app.get('/api/traits/db/trait/:traitName', async (req, res) => {
   }
 });
 
-// Get traits needing review
-app.get('/api/traits/db/review', async (req, res) => {
+// Delete a concept; refused while reactions still reference it
+app.delete('/api/concepts/:id', async (req, res) => {
   try {
-    const query = { reviewTags: { $exists: true, $ne: [] } };
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid concept id' });
+    }
 
-    const traits = await Trait.find(query)
-      .sort({ updatedAt: -1 })
-      .lean();
+    const reactionCount = await Trait.countDocuments({ concept_id: id });
+    if (reactionCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Concept is referenced by ${reactionCount} reaction(s)`
+      });
+    }
+
+    const concept = await Concept.findByIdAndDelete(id);
+    if (!concept) {
+      return res.status(404).json({
+        success: false,
+        error: 'Concept not found'
+      });
+    }
 
     res.json({
       success: true,
-      count: traits.length,
-      data: traits
+      message: 'Concept deleted successfully'
     });
   } catch (error) {
-    console.error('Error fetching traits needing review:', error);
+    console.error('Error deleting concept:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -815,45 +2929,52 @@ app.get('/api/traits/db/review', async (req, res) => {
   }
 });
 
-// Update review status
-app.post('/api/traits/status', async (req, res) => {
+// Reactions of a concept
+app.get('/api/concepts/:id/reactions', async (req, res) => {
   try {
-    const { documentId, isReviewed } = req.body;
-
-    if (!documentId) {
-      return res.status(400).json({
-        success: false,
-        error: 'documentId is required'
-      });
+    const { id } = req.params;
+    if (!projectService.isObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid concept id' });
     }
 
-    const updatedDoc = await Trait.findByIdAndUpdate(
-      documentId,
-      { $set: { review_status: !!isReviewed } },
-      { new: true }
-    );
+    const reactions = await Trait.find({ concept_id: id, is_latest: { $ne: false } })
+      .sort({ createdAt: -1 })
+      .lean();
 
-    if (!updatedDoc) {
-      return res.status(404).json({
-        success: false,
-        error: 'Document not found'
-      });
+    res.json({
+      success: true,
+      count: reactions.length,
+      data: reactions
+    });
+  } catch (error) {
+    console.error('Error fetching concept reactions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== Run APIs ====================
+// List runs, newest first. Query: ?project_id=
+app.get('/api/runs', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.project_id) {
+      query.project_id = req.query.project_id;
     }
 
-    broadcastUpdate({
-      type: 'review_status_updated',
-      documentId: documentId,
-      updatedDoc: updatedDoc,
-      timestamp: new Date().toISOString()
-    });
+    const runs = await Run.find(query)
+      .sort({ createdAt: -1 })
+      .lean();
 
-   return res.json({
+    res.json({
       success: true,
-      message: 'Review status updated successfully',
-      data: updatedDoc
+      count: runs.length,
+      data: runs
     });
   } catch (error) {
-    console.error('Error updating review status:', error);
+    console.error('Error fetching runs:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -861,44 +2982,35 @@ app.post('/api/traits/status', async (req, res) => {
   }
 });
 
-// Get statistics/summary
-app.get('/api/traits/db/stats', async (req, res) => {
+// Get a single run with its progress
+app.get('/api/runs/:id', async (req, res) => {
   try {
-    const totalTraits = await Trait.countDocuments({ processed: false });
-    const initialReactionCount = await Trait.countDocuments({ type: 'INITIAL_REACTION' });
-    const contextPromptCount = await Trait.countDocuments({ type: 'CONTEXT_PROMPT' });
-    const reviewNeededCount = await Trait.countDocuments({ reviewTags: { $exists: true, $ne: [] } });
+    if (!projectService.isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid run id' });
+    }
 
-    // Get unique trait names
-    const traitNames = await Trait.distinct('traits');
-    const traitCounts = {};
+    const run = await Run.findById(req.params.id).lean();
 
-    for (const traitName of traitNames) {
-      if (traitName) {
-        traitCounts[traitName] = await Trait.countDocuments({ traits: { $in: [traitName] } });
-      }
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found'
+      });
     }
 
     res.json({
       success: true,
-      stats: {
-        totalDocuments: totalTraits,
-        byType: {
-          initialReaction: initialReactionCount,
-          contextPrompt: contextPromptCount
-        },
-        reviewNeeded: reviewNeededCount,
-        traitDistribution: traitCounts
-      }
+      data: run
     });
   } catch (error) {
-    console.error('Error fetching trait statistics:', error);
+    console.error('Error fetching run by ID:', error);
     res.status(500).json({
       success: false,
       error: error.message
     });
   }
 });
+
 app.post('/genai-validation-worker', async (req, res) => {
   try {
     // 🔴 Cloud Tasks body is BASE64
@@ -911,46 +3023,112 @@ app.post('/genai-validation-worker', async (req, res) => {
     } else {
       payload = rawBody; // fallback for direct JSON requests
     }
-    const {
-      item,
-      model_filename,
-      type,
-      project_id,
-    } = payload;
-
-    if (!model_filename || !type || !item) {
+    const payloadError = genAiTaskError(payload);
+    if (payloadError) {
       console.error('❌ Missing fields in worker payload', payload);
-      return res.status(400).send('Invalid payload: model_filename, type, and item are required');
+      return res.status(400).send(`Invalid payload: ${payloadError}`);
     }
 
-    // 🧠 Process the task
-    // ⚡️ Pro Technique: Fire & Forget
-    // Respond immediately to handling the request "so fast"
-    res.status(200).send('OK');
-
-    // Run the heavy lifting in the background
-    setImmediate(async () => {
-      try {
-        const result = await processGenAiValidation({
-          item,
-          model_filename,
-          type,
-          project_id,
-        });
-
-        if (!result.success) {
-          console.error('❌ GenAI worker background task failed:', result.error);
-        }
-      } catch (backgroundError) {
-        console.error('❌ GenAI worker background wrapper crashed:', backgroundError);
-      }
-    });
-
+    // Acknowledge only once the job is persisted; if that fails Cloud Tasks redelivers the task
+    const { job, duplicate } = await genAiJobService.enqueue(payload);
+    res.status(200).json({ success: true, jobId: job ? job._id.toString() : null, duplicate });
   } catch (err) {
     console.error('❌ Worker endpoint crashed:', err);
     res.status(500).send('Internal Server Error');
   }
 });
+
+// What's missing from a GenAI task payload, if anything
+function genAiTaskError(payload) {
+  if (!payload) return 'empty payload';
+  // Grouped tasks carry one reaction and the predictions of every trait
+  if (Array.isArray(payload.predictions)) {
+    return !payload.document_id || !payload.type || payload.predictions.length === 0
+      ? 'document_id, type and predictions are required'
+      : null;
+  }
+  return !payload.model_filename || !payload.type || !payload.item
+    ? 'model_filename, type, and item are required'
+    : null;
+}
+
+/**
+ * Run one attempt of a GenAI job
+ * Only retryable failures are worth another attempt; a grouped job's next attempt redoes just the traits that need it
+ * @returns {Promise<Object>} { success, retryable, error, payload } as GenAiJobService expects
+ */
+async function runGenAiTask(payload, { final = true } = {}) {
+  const { item, model_filename, type, project_id, run_id, document_id, predictions } = payload;
+
+  if (Array.isArray(predictions)) {
+    const result = await processGroupedValidation({ document_id, type, project_id, run_id, predictions, final });
+    if (result.retryPredictions && result.retryPredictions.length > 0) {
+      console.error(`🔁 GenAI grouped task will retry ${result.retryPredictions.length} trait(s) for ${document_id}`);
+      return {
+        success: false,
+        retryable: true,
+        error: `${result.retryPredictions.length} trait(s) failed and will be retried`,
+        payload: { ...payload, predictions: result.retryPredictions }
+      };
+    }
+    if (!result.success) {
+      console.error('❌ GenAI grouped task incomplete:', result.error || `${result.failed} trait(s) failed`);
+    }
+    return { ...result, retryable: false, error: result.error || (result.success ? undefined : `${result.failed} trait(s) failed`) };
+  }
+
+  const result = await processGenAiValidation({
+    item,
+    model_filename,
+    type,
+    project_id,
+    run_id,
+    final,
+  });
+  if (!result.success) {
+    console.error('❌ GenAI worker task failed:', result.error);
+  }
+  return { ...result, retryable: result.retryable === true };
+}
+
+/**
+ * Fail the validations of a job whose last attempt never reported back or crashed: each one is recorded in
+ * genai_failures and counted as failed on its section and run, unless the lost attempt counted it already
+ */
+async function abandonGenAiTask(payload, errorMessage) {
+  const { item, model_filename, type, project_id, run_id, document_id, predictions } = payload;
+  const ID = item ? item.ID : document_id;
+  const entries = Array.isArray(predictions) ? predictions : [{ model_filename, item }];
+
+  let context;
+  try {
+    context = await loadValidationContext({ ID, type, project_id, run_id });
+  } catch (err) {
+    context = { runId: run_id };
+  }
+
+  for (const entry of entries) {
+    const taskKey = validationTaskKey(context, ID, type, entry.model_filename);
+    if (context.fieldPrefix && await Trait.exists({ _id: ID, [`${context.fieldPrefix}.settledTasks`]: taskKey })) {
+      continue;
+    }
+
+    const matchedTrait = await traitCatalogService.findByFileName(entry.model_filename);
+    const error = new Error(errorMessage);
+    error.retryable = true;
+    await recordValidationFailure({
+      item: entry.item,
+      model_filename: entry.model_filename,
+      type,
+      project_id,
+      runId: context.runId,
+      traitTitle: matchedTrait ? matchedTrait.title : undefined,
+      error
+    });
+    await settleValidation({ ID, fieldPrefix: context.fieldPrefix, runId: context.runId, taskKey, failed: true });
+  }
+}
+
 // Delete all trait documents from database
 app.delete('/api/traits/db', async (req, res) => {
   try {
@@ -983,12 +3161,57 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Something went wrong!' });
 });
 
+// In-process queue backends (TASK_QUEUE=local) run tasks through the same handlers as the HTTP endpoints;
+// predictions come from the offline stand-in for the ML function, GenAI tasks become jobs like the worker's
+function registerQueueHandlers() {
+  taskQueueService.register('trait-prediction', async (payload) => {
+    const data = await localPredictionService.predict(payload);
+    await handleTraitPredictions({ ...payload, data });
+  }, failTraitPredictions);
+
+  taskQueueService.register('genai-validation', async (payload) => {
+    const payloadError = genAiTaskError(payload);
+    if (payloadError) {
+      throw new Error(`Invalid payload: ${payloadError}`);
+    }
+    await genAiJobService.enqueue(payload);
+  });
+}
+
+/**
+ * Count a trait whose ML predictions never came back as failed for every reaction its task carried,
+ * so the run still completes; nothing was queued to GenAI for them
+ */
+async function failTraitPredictions({ model_filename, type, run_id, data = [] }, error) {
+  const section = type === 'INITIAL_REACTION' ? 'initial_reaction' : type === 'CONTEXT_PROMPT' ? 'context_prompt' : null;
+  if (!run_id || !section) return;
+
+  console.error(`❌ ML prediction failed | ${model_filename} | ${type} | ${data.length} reaction(s):`, error.message);
+  for (const row of data) {
+    if (!row || !projectService.isObjectId(String(row.ID))) continue;
+    const taskKey = validationTaskKey({ runId: run_id }, String(row.ID), type, model_filename);
+    await settleValidation({ ID: row.ID, fieldPrefix: section, runId: run_id, taskKey, failed: true });
+  }
+}
+
 // Start server with database connection
 async function startServer() {
   try {
     // Connect to MongoDB
     await database.connect();
 
+    // Make sure the trait catalog and its rules exist before serving requests
+    await traitCatalogService.seed();
+    await traitRuleService.seed();
+
+    registerQueueHandlers();
+    genAiJobService.start((payload, { final }) => runGenAiTask(payload, { final }), abandonGenAiTask);
+
+    // Every instance sweeps; claiming a group keeps it from being queued twice
+    setInterval(() => {
+      sweepPendingGroups().catch(err => console.error('❌ Pending group sweep failed:', err.message));
+    }, Math.min(60000, GROUP_TIMEOUT_MS)).unref();
+
     // Start HTTP and WebSocket server
     server.listen(PORT, () => {
       console.log(`Server is running on ${PORT}`);
@@ -1004,202 +3227,790 @@ async function startServer() {
 // Start the application
 startServer();
 
-// Counter for tracking processed items
-let processedCounter = 0;
-let expectedCount = null;
-let isCalculatingExpected = false;
-let isCompleting = false;
+/**
+ * Mark a run completed once every expected task has reported back,
+ * then flip `processed` for that run's documents only
+ */
+async function completeRunIfDone(run) {
+  if (!run || run.processed_count < run.expected_count) return;
 
-async function processGenAiValidation({
-  item,
-  model_filename,
-  type,
-  project_id,
-}) {
-  // Calculate expected count once at start (from database)
-  if (expectedCount === null && !isCalculatingExpected) {
-    isCalculatingExpected = true;
-    try {
-      const initialTraitsCount = traits.filter(t => t.initialReactionEnabled).length;
-      const contextTraitsCount = traits.filter(t => t.contextPromptEnabled).length;
+  // Only the caller that wins this update finishes the run
+  const completedRun = await Run.markCompleted(run._id);
+  if (!completedRun) return;
 
-      const [docsWithInitial, docsWithContext] = await Promise.all([
-        Trait.countDocuments({ processed: false, 'initial_reaction.text': { $exists: true, $ne: '' } }),
-        Trait.countDocuments({ processed: false, 'context_prompt.text': { $exists: true, $ne: '' } })
-      ]);
+  console.log(`🎊 All GenAI validations completed for run ${run._id}. Updating database...`);
 
-      expectedCount = (docsWithInitial * initialTraitsCount) + (docsWithContext * contextTraitsCount);
-      console.log(`📊 Expected tasks calculated: ${expectedCount}`);
-    } catch (err) {
-      console.error('❌ Error calculating expected count:', err);
-    } finally {
-      isCalculatingExpected = false;
+  try {
+    await Trait.updateMany(
+      { run_id: run._id, processed: false },
+      { $set: { processed: true } }
+    );
+
+    broadcastUpdate({
+      type: 'process_completed',
+      message: 'All GenAI validations completed. Please refresh to fetch latest data.',
+      runId: run._id.toString(),
+      projectId: completedRun.project_id,
+      processed: completedRun.processed_count,
+      failed: completedRun.failed_count,
+      expected: completedRun.expected_count,
+      timestamp: new Date().toISOString()
+    });
+  } catch (dbErr) {
+    console.error('❌ Failed to update documents status:', dbErr);
+  }
+}
+
+/**
+ * Count one finished GenAI task against a document section and, once every trait
+ * classified for that section in the run has reported, run the post-classification passes
+ * @param {string} taskKey - Validation key; a task whose key was already counted isn't counted again
+ * @returns {Promise<boolean>} false when the task was a duplicate
+ */
+async function finishSectionTask(documentId, section, runId, taskKey) {
+  const doc = await Trait.findOneAndUpdate(
+    taskKey ? { _id: documentId, [`${section}.settledTasks`]: { $ne: taskKey } } : { _id: documentId },
+    {
+      $inc: { [`${section}.tasksCompleted`]: 1 },
+      ...(taskKey ? { $push: { [`${section}.settledTasks`]: taskKey } } : {})
+    },
+    { new: true }
+  ).select(`${section}.tasksCompleted ${section}.traits`).lean();
+  if (!doc) {
+    // Still counted toward the run when the document itself is gone
+    return !(taskKey && await Trait.exists({ _id: documentId }));
+  }
+  const run = await Run.findById(runId).select('trait_set').lean();
+  if (!run) return true;
+
+  const classifiedTraits = (run.trait_set && run.trait_set[section]) || [];
+  // Exactly equal so the passes run once per section
+  if (doc[section].tasksCompleted !== classifiedTraits.length) return true;
+
+  await runPostClassificationPasses(documentId, section, doc[section].traits || [], classifiedTraits);
+  return true;
+}
+
+/**
+ * Checks applied to a section once all of its traits are classified
+ * Each pass reports traits to add, review tags and consistency entries recording what it did
+ */
+async function runPostClassificationPasses(documentId, section, presentTraits, classifiedTraits) {
+  const catalog = await traitCatalogService.getAll();
+  const type = section === 'initial_reaction' ? 'INITIAL_REACTION' : 'CONTEXT_PROMPT';
+
+  // Hierarchy first, so conflict rules see any parents it added
+  const hierarchy = traitHierarchyService.evaluate(presentTraits, classifiedTraits, catalog);
+  const conflicts = await traitRuleService.evaluate([...presentTraits, ...hierarchy.addTraits], type);
+
+  // Passes run again when a failed validation is retried; don't repeat findings already recorded
+  const existing = await Trait.findById(documentId).select(`${section}.consistency`).lean();
+  const entryKey = (entry) => JSON.stringify([entry.rule, entry.ruleName || '', entry.trait, entry.related || []]);
+  const recorded = new Set(((existing && existing[section] && existing[section].consistency) || []).map(entryKey));
+
+  const entries = [...hierarchy.entries, ...conflicts.entries].filter(entry => !recorded.has(entryKey(entry)));
+  if (entries.length === 0 && hierarchy.addTraits.length === 0) return;
+
+  const reviewTags = [...hierarchy.reviewTags, ...conflicts.reviewTags];
+  const update = {
+    $push: { [`${section}.consistency`]: { $each: entries } }
+  };
+  const addToSet = {};
+  if (hierarchy.addTraits.length > 0) {
+    addToSet[`${section}.traits`] = { $each: hierarchy.addTraits };
+  }
+  if (reviewTags.length > 0) {
+    addToSet[`${section}.reviewTags`] = { $each: reviewTags };
+  }
+  if (Object.keys(addToSet).length > 0) {
+    update.$addToSet = addToSet;
+  }
+
+  await Trait.updateOne({ _id: documentId }, update);
+  console.log(`🧭 Consistency | ID=${documentId} | ${section} | ${entries.map(entry => `${entry.ruleName || entry.rule}:${entry.trait}`).join(', ')}`);
+}
+
+/**
+ * Retry one recorded failure; on success the run's failed count drops and the section's
+ * consistency passes run again if the section had already finished
+ */
+async function retryFailedValidation(failure) {
+  const result = await processGenAiValidation({
+    item: failure.item,
+    model_filename: failure.model_filename,
+    type: failure.type,
+    project_id: failure.project_id,
+    run_id: failure.run_id,
+    retry: true
+  });
+
+  if (!result.success) {
+    // Failures inside the classify path were re-recorded already; this covers early exits
+    await GenAiFailure.updateOne(
+      { _id: failure._id, status: 'retrying' },
+      { $set: { status: 'failed', error: result.error, last_failed_at: new Date() } }
+    );
+    return result;
+  }
+
+  await GenAiFailure.updateOne({ _id: failure._id }, { $set: { status: 'resolved', resolved_at: new Date() } });
+
+  if (failure.run_id) {
+    await Run.updateOne({ _id: failure.run_id, failed_count: { $gt: 0 } }, { $inc: { failed_count: -1 } });
+
+    const section = failure.type === 'INITIAL_REACTION' ? 'initial_reaction' : 'context_prompt';
+    const [doc, run] = await Promise.all([
+      Trait.findById(failure.document_id).select(`${section}.tasksCompleted ${section}.traits`).lean(),
+      Run.findById(failure.run_id).select('trait_set').lean()
+    ]);
+    const classifiedTraits = (run && run.trait_set && run.trait_set[section]) || [];
+    if (doc && classifiedTraits.length > 0 && doc[section].tasksCompleted >= classifiedTraits.length) {
+      await runPostClassificationPasses(failure.document_id, section, doc[section].traits || [], classifiedTraits);
+    }
+  }
+
+  broadcastUpdate({
+    type: 'genai_retry_succeeded',
+    documentId: failure.document_id.toString(),
+    traitTitle: failure.trait_title,
+    runId: failure.run_id ? failure.run_id.toString() : null,
+    timestamp: new Date().toISOString()
+  });
+  return result;
+}
+
+/**
+ * Load the reaction a validation task refers to, plus the inputs every trait classifies it with
+ * @returns {Promise<Object>} Context; carries error (with whatever runId/fieldPrefix were known) when it can't be validated
+ */
+async function loadValidationContext({ ID, type, project_id, run_id }) {
+  // Only fetch the necessary fields to save memory
+  const traitDoc = await Trait.findById(ID).select(`version project_id project_input concept_id concept_input run_id initial_reaction.text context_prompt.text`);
+  if (!traitDoc) {
+    console.error(`Document not found for ID: ${ID}`);
+    return { error: 'Document not found', runId: run_id };
+  }
+
+  if (project_id && traitDoc.project_id && traitDoc.project_id !== project_id) {
+    console.error(`Project mismatch for ID: ${ID} (payload ${project_id}, document ${traitDoc.project_id})`);
+    return { error: 'Project mismatch', runId: run_id };
+  }
+
+  // Older task payloads don't carry the run id, the document always does
+  const runId = run_id || traitDoc.run_id;
+
+  let targetText;
+  let fieldPrefix; // To know which field to update (initial_reaction or context_prompt)
+
+  if (type === 'INITIAL_REACTION') {
+    targetText = traitDoc.initial_reaction?.text;
+    fieldPrefix = 'initial_reaction';
+  } else if (type === 'CONTEXT_PROMPT') {
+    targetText = traitDoc.context_prompt?.text;
+    fieldPrefix = 'context_prompt';
+  } else {
+    console.error(`Invalid type: ${type}`);
+    return { error: `Invalid type: ${type}`, runId };
+  }
+
+  if (!targetText) {
+    console.error(`Text not found for ID: ${ID}, type: ${type}`);
+    return { error: 'Text not found', runId, fieldPrefix };
+  }
+
+  // version logic
+  let versionToPass = 'basic';
+  let projectInput = '';
+  let conceptInput = '';
+
+  if (traitDoc.version === 'context') {
+    versionToPass = 'context';
+    // Resolve from the Project/Concept so description edits apply without touching reactions
+    ({ projectInput, conceptInput } = await projectService.contextInputs(traitDoc));
+  }
+
+  // Runs submitted with bypass_cache classify every validation afresh
+  const run = runId ? await Run.findById(runId).select('bypass_cache experiment_id').lean() : null;
+
+  // Inputs the treatment arm classifies with when the run belongs to an experiment
+  let treatment = null;
+  const experiment = run && run.experiment_id ? await Experiment.findById(run.experiment_id).lean() : null;
+  if (experiment) {
+    const version = experimentService.treatmentVersion(experiment, versionToPass);
+    treatment = { experiment, version, projectInput: '', conceptInput: '' };
+    if (version === 'context') {
+      ({ projectInput: treatment.projectInput, conceptInput: treatment.conceptInput } = versionToPass === 'context'
+        ? { projectInput, conceptInput }
+        : await projectService.contextInputs(traitDoc));
     }
   }
 
-  const matchedTrait = traits.find(t => t.gcsFileName === model_filename);
-  if (!matchedTrait) {
-    console.error(`Trait not found: ${model_filename}`);
-    return { success: false, error: 'Trait not found' };
+  return {
+    runId,
+    fieldPrefix,
+    targetText,
+    versionToPass,
+    projectInput,
+    conceptInput,
+    bypassCache: !!(run && run.bypass_cache),
+    treatment
+  };
+}
+
+// Carry the classify failure details onto the error recorded in genai_failures
+function genAiFailureError(genAiResult) {
+  const genAiError = new Error(`GenAI API failed: ${genAiResult?.error}`);
+  genAiError.retryable = genAiResult?.retryable;
+  genAiError.attempts = genAiResult?.attempts;
+  genAiError.statusCode = genAiResult?.statusCode;
+  genAiError.circuitOpen = genAiResult?.circuitOpen;
+  genAiError.invalidResponse = genAiResult?.invalidResponse;
+  genAiError.responseErrors = genAiResult?.responseErrors;
+  genAiError.rawResponse = genAiResult?.rawResponse;
+  return genAiError;
+}
+
+/**
+ * Classify the validations an experiment covers again with its treatment arm
+ * A treatment failure is kept on the arm and never fails the validation
+ * @param {Object[]} traits - Catalog trait definitions whose control classification succeeded
+ * @returns {Promise<Object>} Trait title to classify result; empty when the run has no experiment or none are covered
+ */
+async function classifyTreatment(context, ID, traits) {
+  if (!context.treatment) return {};
+
+  const { experiment, version, projectInput, conceptInput } = context.treatment;
+  const covered = traits.filter(trait => experimentService.covers(experiment, ID, trait.title));
+  if (covered.length === 0) return {};
+
+  try {
+    return await genAiService.classifyMany(
+      context.targetText,
+      covered.map(trait => experimentService.treatmentTrait(experiment, trait)),
+      version,
+      projectInput,
+      conceptInput,
+      { bypassCache: context.bypassCache }
+    );
+  } catch (err) {
+    console.error(`❌ Treatment classification failed for ${ID}:`, err);
+    return Object.fromEntries(covered.map(trait => [trait.title, { success: false, error: err.message }]));
+  }
+}
+
+/**
+ * Both arms of an experiment-covered validation for its genAiRecords entry
+ * The treatment's decision is worked out the same way as the control's but never applied
+ */
+function buildExperimentRecord(context, matchedTrait, llmScore, control, treatmentResult) {
+  const { experiment, version } = context.treatment;
+  const treatment = {
+    arm: 'treatment',
+    version,
+    overridden: experimentService.overrides(experiment, matchedTrait.title),
+    provider: treatmentResult.provider,
+    cacheHit: !!treatmentResult.cacheHit
+  };
+
+  if (treatmentResult.success) {
+    const { present, confidence, rationale, score } = treatmentResult.data;
+    const { threshold } = genAiService.resolveThreshold(matchedTrait, context.fieldPrefix, !!present);
+    const { action, finalScore } = genAiService.determineAction(llmScore, treatmentResult.data, threshold);
+    Object.assign(treatment, { genAiSays: { present, confidence, rationale, score }, action, finalScore, threshold });
+  } else {
+    Object.assign(treatment, { error: treatmentResult.error, responseErrors: treatmentResult.responseErrors });
   }
 
+  return {
+    id: experiment._id,
+    name: experiment.name,
+    runId: mongoose.isValidObjectId(context.runId) ? context.runId : undefined,
+    arms: [{ arm: 'control', version: context.versionToPass, ...control }, treatment]
+  };
+}
+
+/**
+ * Validation key of one trait of a reaction in the run its context resolved
+ */
+function validationTaskKey(context, ID, type, model_filename) {
+  return genAiJobService.validationKey({ documentId: ID, type, modelFilename: model_filename, runId: context.runId });
+}
+
+/**
+ * Turn a classify result into a genAiRecords entry and update the section's traits and review tags
+ * An invalid classifier response is stored too: the ML score stands and the trait is flagged for review
+ * @param {Object} context - Validation context plus the taskKey the record is stored under
+ * @param {Object} treatmentResult - Treatment arm result when an experiment covers the validation
+ * @returns {Promise<number>} finalScore
+ */
+async function storeValidationResult(context, ID, matchedTrait, commentPrediction, genAiResult, treatmentResult = null) {
+  const { fieldPrefix, runId, taskKey } = context;
   const {
     title: traitTitle,
-    trait_definition: traitDefinition = '',
     trait_examples: traitExamples = ''
   } = matchedTrait;
 
-  const { ID, commentPrediction } = item;
+  const genAiResponse = genAiResult.data;
+  const llmScore = Number(commentPrediction);
+
+  // Trait- and section-specific bar for overturning the ML score, recorded with the decision
+  const { threshold, source: thresholdSource } = genAiService.resolveThreshold(matchedTrait, fieldPrefix, !!genAiResponse?.present);
+  const { action, finalScore } = genAiService.determineAction(llmScore, genAiResponse, threshold);
+  const needsReview = genAiService.requiresReview(genAiResponse, llmScore, threshold);
+
+  const genAiSays = genAiResponse ? {
+    present: genAiResponse.present,
+    confidence: genAiResponse.confidence,
+    rationale: genAiResponse.rationale,
+    score: genAiResponse.score
+  } : undefined;
+
+  const record = {
+    // A malformed run_id on the callback is kept out of ObjectId fields rather than failing the save
+    runId: mongoose.isValidObjectId(runId) ? runId : undefined,
+    taskKey,
+    llmScore,
+    genAiSays,
+    finalScore,
+    action,
+    traitTitle,
+    traitId: matchedTrait._id,
+    definitionVersion: matchedTrait.version || 1,
+    examplesHash: traitCatalogService.examplesHash(traitExamples, matchedTrait.curated_examples),
+    provider: genAiResult.provider,
+    cacheHit: !!genAiResult.cacheHit,
+    threshold,
+    thresholdSource,
+    responseErrors: genAiResult.responseErrors,
+    rawResponse: genAiResult.rawResponse,
+    ...(treatmentResult ? {
+      arm: 'control',
+      experiment: buildExperimentRecord(context, matchedTrait, llmScore, {
+        genAiSays,
+        action,
+        finalScore,
+        threshold,
+        provider: genAiResult.provider,
+        cacheHit: !!genAiResult.cacheHit
+      }, treatmentResult)
+    } : {}),
+    timestamp: new Date()
+  };
+
+  // Prepare Atomic Update
+  const updateQuery = {};
+
+  // Update traits array based on finalScore
+  if (finalScore === 1) {
+    updateQuery.$addToSet = { [`${fieldPrefix}.traits`]: traitTitle };
+  } else {
+    updateQuery.$pull = { [`${fieldPrefix}.traits`]: traitTitle };
+  }
+
+  // Add review tag if needed
+  if (needsReview) {
+    updateQuery.$addToSet = {
+      ...updateQuery.$addToSet,
+      [`${fieldPrefix}.reviewTags`]: traitTitle
+    };
+  }
+
+  // Execute Atomic Update
+  await upsertGenAiRecord(ID, `${fieldPrefix}.genAiRecords`, record, updateQuery);
+
+  console.log(`✅ DONE | ID=${ID} | Trait=${traitTitle} | Final=${finalScore}${genAiResult.cacheHit ? ' | cached' : ''}`);
+  return finalScore;
+}
+
+/**
+ * Update the record stored under the same task key, e.g. by a redelivery or a retry, or append it
+ * Only classifier fields are rewritten; once a reviewer gave feedback their score and action stand
+ * @param {Object} updateQuery - Other updates applied with the record
+ */
+async function upsertGenAiRecord(ID, path, record, updateQuery) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const replaced = await Trait.updateOne(
+      { _id: ID, [path]: { $elemMatch: { taskKey: record.taskKey, 'history.0': { $exists: false } } } },
+      { ...updateQuery, ...classifierFieldsUpdate(path, record, false) }
+    );
+    if (replaced.matchedCount > 0) return;
+
+    // Reviewed: the traits and review tags follow the reviewer's score, so only the record changes
+    const reviewed = await Trait.updateOne(
+      { _id: ID, [`${path}.taskKey`]: record.taskKey },
+      classifierFieldsUpdate(path, record, true)
+    );
+    if (reviewed.matchedCount > 0) return;
+
+    const appended = await Trait.updateOne(
+      { _id: ID, [`${path}.taskKey`]: { $ne: record.taskKey } },
+      { ...updateQuery, $push: { [path]: record } }
+    );
+    // Nothing matched when a concurrent delivery appended in between; replace its record instead
+    if (appended.matchedCount > 0 || !(await Trait.exists({ _id: ID }))) return;
+  }
+}
+
+/**
+ * $set/$unset of the classifier-owned fields of the positionally matched record;
+ * feedback, history and isTraitValidationIncorrect belong to reviewers and are left alone
+ */
+function classifierFieldsUpdate(path, record, keepDecision) {
+  const $set = {};
+  const $unset = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (keepDecision && (key === 'finalScore' || key === 'action')) continue;
+    if (value === undefined) {
+      // Clears what an earlier attempt stored, e.g. responseErrors of an invalid response
+      $unset[`${path}.$.${key}`] = '';
+    } else {
+      $set[`${path}.$.${key}`] = value;
+    }
+  }
+  return Object.keys($unset).length > 0 ? { $set, $unset } : { $set };
+}
 
+// Keep a failed task so it can be retried once the classifier is back
+async function recordValidationFailure({ item, model_filename, type, project_id, runId, traitTitle, error }) {
   try {
-    if (!ID) {
-      console.error('Missing ID in item:', item);
-      return { success: false, error: 'Missing ID' };
+    await GenAiFailure.record({
+      item,
+      model_filename,
+      type,
+      project_id: project_id || undefined,
+      run_id: runId,
+      trait_title: traitTitle,
+      error
+    });
+  } catch (recordErr) {
+    console.error(`❌ Failed to record GenAI failure for ${item?.ID}:`, recordErr);
+  }
+}
+
+/**
+ * Count one finished validation against its section and run regardless of success or failure;
+ * a retry was already counted the first time round, and so was a duplicate delivery of the same task
+ */
+async function settleValidation({ ID, fieldPrefix, runId, taskKey, failed, retry = false }) {
+  if (!runId || retry) return;
+
+  if (fieldPrefix) {
+    let counted = true;
+    try {
+      counted = await finishSectionTask(ID, fieldPrefix, runId, taskKey);
+    } catch (sectionErr) {
+      console.error(`❌ Failed to finish section ${fieldPrefix} for ${ID}:`, sectionErr);
+    }
+    if (!counted) {
+      console.log(`♻️ Duplicate GenAI task not counted again: ${taskKey}`);
+      return;
     }
+  }
 
-    // 1. Only fetch the necessary fields to save memory
-    const traitDoc = await Trait.findById(ID).select(`version project_input concept_input initial_reaction.text context_prompt.text`);
-    if (!traitDoc) {
-      console.error(`Document not found for ID: ${ID}`);
-      return { success: false, error: 'Document not found' };
+  try {
+    const run = await Run.recordResult(runId, { failed });
+    if (run) {
+      console.log(`📈 Progress (run ${runId}): ${run.processed_count}/${run.expected_count}`);
+      await completeRunIfDone(run);
     }
+  } catch (runErr) {
+    console.error(`❌ Failed to record progress for run ${runId}:`, runErr);
+  }
+}
 
-    let targetText;
-    let fieldPrefix; // To know which field to update (initial_reaction or context_prompt)
+/**
+ * Classify one reaction for one trait and store the result
+ * Failures are recorded in genai_failures; a retry (retry: true) doesn't count toward the run again.
+ * A job attempt that isn't its last (final: false) leaves retryable failures to the next attempt
+ */
+async function processGenAiValidation({
+  item,
+  model_filename,
+  type,
+  project_id,
+  run_id,
+  retry = false,
+  final = true,
+}) {
+  const { ID, commentPrediction } = item || {};
 
-    if (type === 'INITIAL_REACTION') {
-      targetText = traitDoc.initial_reaction?.text;
-      fieldPrefix = 'initial_reaction';
-    } else if (type === 'CONTEXT_PROMPT') {
-      targetText = traitDoc.context_prompt?.text;
-      fieldPrefix = 'context_prompt';
-    } else {
-      console.error(`Invalid type: ${type}`);
-      return { success: false, error: `Invalid type: ${type}` };
-    }
+  let context = { runId: run_id };
+  let traitTitle;
+  let failed = true;
+  let deferred = false;
 
-    if (!targetText) {
-      console.error(`Text not found for ID: ${ID}, type: ${type}`);
-      return { success: false, error: 'Text not found' };
+  // Tasks that can't be validated return from here too, so they're still counted as failed on the run
+  try {
+    if (!ID) {
+      console.error('Missing ID in item:', item);
+      return { success: false, error: 'Missing ID' };
     }
 
-    // version logic
-    let versionToPass = 'basic';
-    let projectInput = '';
-    let conceptInput = '';
+    context = await loadValidationContext({ ID, type, project_id, run_id });
+    if (context.error) {
+      return { success: false, error: context.error };
+    }
+    context.taskKey = validationTaskKey(context, ID, type, model_filename);
 
-    if (traitDoc.version === 'context') {
-      versionToPass = 'context';
-      projectInput = traitDoc.project_input || '';
-      conceptInput = traitDoc.concept_input || '';
+    const matchedTrait = await traitCatalogService.findByFileName(model_filename);
+    traitTitle = matchedTrait ? matchedTrait.title : undefined;
+    if (!matchedTrait) {
+      console.error(`Trait not found: ${model_filename}`);
+      return { success: false, error: 'Trait not found' };
     }
 
+    const {
+      trait_definition: traitDefinition = '',
+      trait_examples: traitExamples = ''
+    } = matchedTrait;
+
     console.log(`🚀 GenAI start | ID=${ID} | Trait=${traitTitle}`);
 
     // Call GenAI API
     const genAiResult = await genAiService.classify(
-      targetText,
+      context.targetText,
       traitTitle,
       traitDefinition,
       traitExamples,
-      versionToPass,
-      projectInput,
-      conceptInput
+      context.versionToPass,
+      context.projectInput,
+      context.conceptInput,
+      exampleCurationService.structuredExamples(matchedTrait),
+      { bypassCache: context.bypassCache }
     );
 
     if (!genAiResult?.success) {
       console.error(`❌ GenAI failed for ID: ${ID}`, genAiResult?.error);
-      throw new Error(`GenAI API failed: ${genAiResult?.error}`);
-    }
-
-    const genAiResponse = genAiResult.data;
-    const llmScore = Number(commentPrediction);
-
-    const { action, finalScore } = genAiService.determineAction(llmScore, genAiResponse);
-    const needsReview = genAiService.requiresReview(genAiResponse, llmScore);
-
-    // 2. Prepare Atomic Update
-    const updateQuery = {
-      $push: {
-        [`${fieldPrefix}.genAiRecords`]: {
-          llmScore,
-          genAiSays: {
-            present: genAiResponse.present,
-            confidence: genAiResponse.confidence,
-            rationale: genAiResponse.rationale,
-            score: genAiResponse.score
-          },
-          finalScore,
-          action,
-          traitTitle,
-          timestamp: new Date()
-        }
+      if (genAiResult?.invalidResponse) {
+        await storeValidationResult(context, ID, matchedTrait, commentPrediction, genAiResult);
       }
-    };
-
-    // Update traits array based on finalScore
-    if (finalScore === 1) {
-      updateQuery.$addToSet = { [`${fieldPrefix}.traits`]: traitTitle };
-    } else {
-      updateQuery.$pull = { [`${fieldPrefix}.traits`]: traitTitle };
-    }
-
-    // Add review tag if needed
-    if (needsReview) {
-      updateQuery.$addToSet = {
-        ...updateQuery.$addToSet,
-        [`${fieldPrefix}.reviewTags`]: traitTitle
-      };
+      throw genAiFailureError(genAiResult);
     }
 
-    // 3. Execute Atomic Update
-    await Trait.updateOne({ _id: ID }, updateQuery);
+    const treatmentResults = await classifyTreatment(context, ID, [matchedTrait]);
+    const finalScore = await storeValidationResult(context, ID, matchedTrait, commentPrediction, genAiResult, treatmentResults[traitTitle]);
 
-    console.log(`✅ DONE | ID=${ID} | Trait=${traitTitle} | Final=${finalScore}`);
+    failed = false;
     return { success: true, documentId: ID, finalScore };
 
   } catch (err) {
     console.error(`❌ Item failed (${item?.ID})`, err);
-    return { success: false, error: err.message };
+    if (!final && err.retryable !== false) {
+      deferred = true;
+      return { success: false, retryable: true, error: err.message };
+    }
+    await recordValidationFailure({ item, model_filename, type, project_id, runId: context.runId, traitTitle, error: err });
+    return { success: false, retryable: err.retryable !== false, error: err.message };
   } finally {
-    // Increment counter regardless of success or failure
-    processedCounter += 1;
+    if (!deferred) {
+      await settleValidation({ ID, fieldPrefix: context.fieldPrefix, runId: context.runId, taskKey: context.taskKey, failed, retry });
+    }
+  }
+}
+
+/**
+ * Classify one reaction for every trait of a grouped task in one classifyMany call,
+ * then store, record and count each trait exactly as a per-trait task would
+ * @param {Object[]} predictions - [{ model_filename, item: { ID, commentPrediction } }]
+ * @param {boolean} final - false when a later job attempt can redo the traits that failed retryably
+ * @returns {Promise<Object>} Includes the predictions left to the next attempt as retryPredictions
+ */
+async function processGroupedValidation({
+  document_id,
+  type,
+  project_id,
+  run_id,
+  predictions,
+  final = true,
+}) {
+  const entries = [];
+  const unknown = [];
+  for (const prediction of predictions) {
+    const matchedTrait = await traitCatalogService.findByFileName(prediction.model_filename);
+    if (!matchedTrait) {
+      console.error(`Trait not found: ${prediction.model_filename}`);
+      unknown.push(prediction);
+      continue;
+    }
+    entries.push({ ...prediction, matchedTrait });
+  }
 
-    if (expectedCount !== null) {
-      console.log(`📈 Progress: ${processedCounter}/${expectedCount}`);
+  let context;
+  try {
+    context = await loadValidationContext({ ID: document_id, type, project_id, run_id });
+  } catch (err) {
+    context = { error: err.message, runId: run_id };
+  }
 
-      // Check for completion
-      if (processedCounter >= expectedCount && !isCompleting) {
-        isCompleting = true;
-        const finalProcessed = processedCounter;
-        const finalExpected = expectedCount;
+  // Traits missing from the catalog can't be validated, but the run still expects them
+  for (const { model_filename } of unknown) {
+    const taskKey = context.error ? undefined : validationTaskKey(context, document_id, type, model_filename);
+    await settleValidation({ ID: document_id, fieldPrefix: context.fieldPrefix, runId: context.runId, taskKey, failed: true });
+  }
 
-        console.log('🎊 All GenAI validations completed. Updating database...');
+  let results = {};
+  if (!context.error && entries.length > 0) {
+    console.log(`🚀 GenAI start | ID=${document_id} | Traits=${entries.length}`);
+    results = await genAiService.classifyMany(
+      context.targetText,
+      entries.map(({ matchedTrait }) => ({
+        title: matchedTrait.title,
+        definition: matchedTrait.trait_definition || '',
+        examples: matchedTrait.trait_examples || '',
+        structuredExamples: exampleCurationService.structuredExamples(matchedTrait)
+      })),
+      context.versionToPass,
+      context.projectInput,
+      context.conceptInput,
+      { bypassCache: context.bypassCache }
+    );
+  }
 
-        try {
-          await Trait.updateMany(
-            { processed: false },
-            { $set: { processed: true } }
-          );
+  // Only validations the control arm answered are worth comparing
+  const treatmentResults = context.error ? {} : await classifyTreatment(
+    context,
+    document_id,
+    entries.map(({ matchedTrait }) => matchedTrait).filter(trait => results[trait.title]?.success)
+  );
+
+  let succeeded = 0;
+  const retryPredictions = [];
+  for (const { model_filename, item, matchedTrait } of entries) {
+    let failed = true;
+    let deferred = false;
+    const taskKey = context.error ? undefined : validationTaskKey(context, document_id, type, model_filename);
+    try {
+      if (context.error) continue;
 
-          broadcastUpdate({
-            type: 'process_completed',
-            message: 'All GenAI validations completed. Please refresh to fetch latest data.',
-            processed: finalProcessed,
-            expected: finalExpected,
-            timestamp: new Date().toISOString()
-          });
-
-          // Reset after broadcast
-          processedCounter = 0;
-          expectedCount = null;
-          isCompleting = false;
-        } catch (dbErr) {
-          console.error('❌ Failed to update documents status:', dbErr);
-          isCompleting = false;
+      const genAiResult = results[matchedTrait.title];
+      if (!genAiResult?.success) {
+        console.error(`❌ GenAI failed for ID: ${document_id} | Trait=${matchedTrait.title}`, genAiResult?.error);
+        if (genAiResult?.invalidResponse) {
+          await storeValidationResult({ ...context, taskKey }, document_id, matchedTrait, item.commentPrediction, genAiResult);
         }
+        throw genAiFailureError(genAiResult);
+      }
+
+      await storeValidationResult({ ...context, taskKey }, document_id, matchedTrait, item.commentPrediction, genAiResult, treatmentResults[matchedTrait.title]);
+      failed = false;
+      succeeded++;
+    } catch (err) {
+      console.error(`❌ Item failed (${document_id}, ${matchedTrait.title})`, err);
+      if (!final && err.retryable !== false) {
+        deferred = true;
+        retryPredictions.push({ model_filename, item });
+        continue;
+      }
+      await recordValidationFailure({ item, model_filename, type, project_id, runId: context.runId, traitTitle: matchedTrait.title, error: err });
+    } finally {
+      if (!deferred) {
+        await settleValidation({ ID: document_id, fieldPrefix: context.fieldPrefix, runId: context.runId, taskKey, failed });
+      }
+    }
+  }
+
+  if (context.error) {
+    return { success: false, error: context.error };
+  }
+  return {
+    success: unknown.length === 0 && succeeded === entries.length,
+    documentId: document_id,
+    succeeded,
+    failed: unknown.length + entries.length - succeeded - retryPredictions.length,
+    retryPredictions
+  };
+}
+
+/**
+ * Collect one ML prediction on its reaction; once every trait the run classifies for the section
+ * has reported, return the predictions so the caller queues a single grouped task
+ * @returns {Promise<Object[]|null>} Predictions to queue, or null while some are still outstanding
+ */
+async function collectPrediction(item, model_filename, section, expected) {
+  // Redelivered callbacks are ignored so they can't complete a group twice
+  const doc = await Trait.findOneAndUpdate(
+    { _id: item.ID, [`${section}.pendingPredictions.model_filename`]: { $ne: model_filename } },
+    {
+      $push: { [`${section}.pendingPredictions`]: { model_filename, item } },
+      $min: { [`${section}.pendingSince`]: new Date() }
+    },
+    { new: true }
+  ).select(`${section}.pendingPredictions`).lean();
+
+  if (!doc || doc[section].pendingPredictions.length !== expected) return null;
+  // The sweep may have queued the group already when this prediction came in late
+  return await claimPendingGroup(item.ID, section) ? doc[section].pendingPredictions : null;
+}
+
+/**
+ * Take a collected group for queueing; only the first of the last callback and the sweep gets it
+ * @param {Object} since - Condition on pendingSince, e.g. older than the sweep's cutoff
+ */
+async function claimPendingGroup(documentId, section, since = { $exists: true }) {
+  const result = await Trait.updateOne(
+    { _id: documentId, [`${section}.pendingSince`]: since },
+    { $unset: { [`${section}.pendingSince`]: '' } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Queue the reaction groups whose ML predictions stopped arriving, e.g. after a lost or failed ML callback:
+ * the traits that reported are validated and the ones still missing count as failed on the run
+ */
+async function sweepPendingGroups() {
+  const cutoff = new Date(Date.now() - GROUP_TIMEOUT_MS);
+
+  for (const section of ['initial_reaction', 'context_prompt']) {
+    const docs = await Trait.find({ [`${section}.pendingSince`]: { $lt: cutoff } })
+      .select(`run_id project_id ${section}.pendingPredictions`)
+      .limit(100)
+      .lean();
+
+    for (const doc of docs) {
+      try {
+        await flushPendingGroup(doc, section, cutoff);
+      } catch (err) {
+        console.error(`❌ Failed to flush pending group ${section} for ${doc._id}:`, err);
       }
     }
   }
 }
 
+async function flushPendingGroup(doc, section, cutoff) {
+  if (!await claimPendingGroup(doc._id, section, { $lt: cutoff })) return;
+
+  const run = doc.run_id ? await Run.findById(doc.run_id).select('trait_set status').lean() : null;
+  if (!run || !['pending', 'running'].includes(run.status)) return;
+
+  const type = section === 'initial_reaction' ? 'INITIAL_REACTION' : 'CONTEXT_PROMPT';
+  const runId = doc.run_id.toString();
+  const predictions = doc[section].pendingPredictions || [];
+  const reported = new Set(predictions.map(prediction => prediction.model_filename));
+
+  // The run lists traits by title while task keys use the model file name
+  const catalog = await traitCatalogService.getAll();
+  const missing = ((run.trait_set && run.trait_set[section]) || [])
+    .map(title => {
+      const trait = catalog.find(entry => entry.title === title);
+      return trait && trait.gcsFileName ? trait.gcsFileName : title;
+    })
+    .filter(modelFilename => !reported.has(modelFilename));
+
+  console.log(`⏰ Group timed out | ID=${doc._id} | ${section} | ${predictions.length} reported, ${missing.length} missing`);
+
+  for (const modelFilename of missing) {
+    const taskKey = validationTaskKey({ runId }, doc._id.toString(), type, modelFilename);
+    await settleValidation({ ID: doc._id, fieldPrefix: section, runId, taskKey, failed: true });
+  }
+
+  if (predictions.length > 0) {
+    await genAiQueue.enqueueGenAi({
+      document_id: doc._id.toString(),
+      type,
+      project_id: doc.project_id,
+      run_id: runId,
+      predictions
+    });
+  }
+}
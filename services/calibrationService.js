@@ -0,0 +1,186 @@
+const Trait = require('../models/Trait');
+const genAiService = require('./genAiService');
+const traitCatalogService = require('./traitCatalogService');
+
+const SECTIONS = [
+  { key: 'initial_reaction', type: 'INITIAL_REACTION' },
+  { key: 'context_prompt', type: 'CONTEXT_PROMPT' }
+];
+
+const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+/**
+ * Calibration Service
+ * Compares GenAI confidence with reviewer verdicts from /api/traits/feedback: the verdict is the
+ * score the reviewer set (isTraitValidationIncorrect, 0 or 1), GenAI was right when its answer matches it
+ */
+class CalibrationService {
+  /**
+   * Reviewed validations with a usable GenAI answer
+   * Invalid responses have no confidence to calibrate and are left out
+   * @returns {Promise<Object[]>} [{ traitTitle, type, confidence, present, llmScore, verdict }]
+   */
+  async reviewedSamples({ traitTitle, type, projectId } = {}) {
+    const sections = type ? SECTIONS.filter(section => section.type === type) : SECTIONS;
+
+    const perSection = await Promise.all(sections.map(async ({ key, type: sectionType }) => {
+      const recordPath = `${key}.genAiRecords`;
+      // Context prompt verdicts are booleans that default to false, so there only the feedback
+      // history tells a reviewed record from an unreviewed one
+      const reviewed = {
+        'genAiSays.present': { $type: 'bool' },
+        'genAiSays.confidence': { $type: 'number' },
+        $or: [{ isTraitValidationIncorrect: { $in: [0, 1] } }, { 'history.0': { $exists: true } }]
+      };
+      if (traitTitle) reviewed.traitTitle = traitTitle;
+
+      const match = projectId ? { project_id: projectId } : {};
+      const rows = await Trait.aggregate([
+        { $match: { ...match, [recordPath]: { $elemMatch: reviewed } } },
+        { $unwind: `$${recordPath}` },
+        { $replaceRoot: { newRoot: `$${recordPath}` } },
+        { $match: reviewed },
+        {
+          $project: {
+            _id: 0,
+            traitTitle: 1,
+            llmScore: 1,
+            present: '$genAiSays.present',
+            confidence: '$genAiSays.confidence',
+            // Records reviewed before isTraitValidationIncorrect was kept on the record carry it in their latest history entry;
+            // the context prompt section stores it as a boolean, so it's converted to 0 or 1
+            verdict: {
+              $convert: {
+                input: {
+                  $ifNull: [
+                    '$isTraitValidationIncorrect',
+                    { $let: { vars: { last: { $arrayElemAt: ['$history', -1] } }, in: '$$last.genAiSays.validationIncorrect' } }
+                  ]
+                },
+                to: 'int',
+                onError: null,
+                onNull: null
+              }
+            }
+          }
+        }
+      ]);
+
+      return rows
+        .map(row => ({ ...row, verdict: row.verdict === null || row.verdict === undefined ? null : Number(row.verdict), type: sectionType }))
+        .filter(row => row.verdict === 0 || row.verdict === 1);
+    }));
+
+    return perSection.flat();
+  }
+
+  /**
+   * Equal-width confidence buckets with observed accuracy, and the expected calibration error
+   * (bucket-size weighted gap between mean confidence and accuracy)
+   */
+  calibrate(samples, bucketCount) {
+    const buckets = Array.from({ length: bucketCount }, (_, index) => ({
+      from: round(index / bucketCount),
+      to: round((index + 1) / bucketCount),
+      count: 0,
+      correct: 0,
+      confidenceSum: 0
+    }));
+
+    for (const sample of samples) {
+      const index = Math.min(bucketCount - 1, Math.floor(sample.confidence * bucketCount));
+      const bucket = buckets[index];
+      bucket.count++;
+      bucket.confidenceSum += sample.confidence;
+      if (sample.correct) bucket.correct++;
+    }
+
+    let ece = 0;
+    const report = buckets.map(({ confidenceSum, ...bucket }) => {
+      if (bucket.count === 0) {
+        return { ...bucket, meanConfidence: null, accuracy: null };
+      }
+      const meanConfidence = confidenceSum / bucket.count;
+      const accuracy = bucket.correct / bucket.count;
+      ece += (bucket.count / samples.length) * Math.abs(accuracy - meanConfidence);
+      return { ...bucket, meanConfidence: round(meanConfidence), accuracy: round(accuracy) };
+    });
+
+    return { buckets: report, ece: samples.length > 0 ? round(ece) : null };
+  }
+
+  /**
+   * Lowest threshold at which GenAI's overrides would have reached the target precision
+   * Only disagreements with the ML score count: those are the validations the threshold decides
+   * @returns {{ threshold: number|null, precision: number|null, support: number, reason?: string }}
+   */
+  suggestThreshold(samples, targetPrecision, minSamples) {
+    const overrides = samples
+      .filter(sample => (sample.present ? 1 : 0) !== sample.llmScore)
+      .sort((a, b) => b.confidence - a.confidence);
+
+    if (overrides.length < minSamples) {
+      return { threshold: null, precision: null, support: overrides.length, reason: `Fewer than ${minSamples} reviewed disagreements` };
+    }
+
+    let best = null;
+    let correct = 0;
+    for (let index = 0; index < overrides.length; index++) {
+      if (overrides[index].correct) correct++;
+      // Evaluate once all samples sharing this confidence are in
+      if (index + 1 < overrides.length && overrides[index + 1].confidence === overrides[index].confidence) continue;
+
+      const support = index + 1;
+      const precision = correct / support;
+      if (support >= minSamples && precision >= targetPrecision) {
+        best = { threshold: overrides[index].confidence, precision: round(precision), support };
+      }
+    }
+
+    return best || { threshold: null, precision: null, support: overrides.length, reason: `No threshold reaches precision ${targetPrecision}` };
+  }
+
+  /**
+   * Calibration per trait
+   * @param {Object} options - { traitTitle, type, projectId, bucketCount, targetPrecision, minSamples }
+   */
+  async report({ traitTitle, type, projectId, bucketCount = 10, targetPrecision = 0.9, minSamples = 20 } = {}) {
+    const samples = (await this.reviewedSamples({ traitTitle, type, projectId }))
+      .map(sample => ({ ...sample, correct: (sample.present ? 1 : 0) === sample.verdict }));
+
+    const byTrait = new Map();
+    for (const sample of samples) {
+      if (!byTrait.has(sample.traitTitle)) byTrait.set(sample.traitTitle, []);
+      byTrait.get(sample.traitTitle).push(sample);
+    }
+
+    const catalog = await traitCatalogService.getAll();
+    const traits = [...byTrait.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([title, traitSamples]) => {
+        const definition = catalog.find(trait => trait.title === title);
+        return {
+          trait: title,
+          reviewed: traitSamples.length,
+          accuracy: round(traitSamples.filter(sample => sample.correct).length / traitSamples.length),
+          ...this.calibrate(traitSamples, bucketCount),
+          currentThresholds: (definition && definition.confidence_thresholds) || {},
+          suggested: this.suggestThreshold(traitSamples, targetPrecision, minSamples)
+        };
+      });
+
+    return {
+      targetPrecision,
+      minSamples,
+      globalThreshold: genAiService.confidenceThreshold,
+      overall: {
+        reviewed: samples.length,
+        accuracy: samples.length > 0 ? round(samples.filter(sample => sample.correct).length / samples.length) : null,
+        ece: this.calibrate(samples, bucketCount).ece
+      },
+      traits
+    };
+  }
+}
+
+module.exports = new CalibrationService();
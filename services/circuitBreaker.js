@@ -0,0 +1,73 @@
+/**
+ * Circuit Breaker
+ * Stops calling a dependency after repeated failures and lets a single trial call through once
+ * the cooldown has passed. State is per instance: each worker finds out on its own that the
+ * dependency is down, which costs at most failureThreshold calls
+ */
+class CircuitBreaker {
+  constructor({ name = 'circuit', failureThreshold = 5, cooldownMs = 60000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed'; // closed -> open -> half_open -> closed | open
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a call may go out now; moves an open breaker to half_open after the cooldown
+   */
+  canRequest() {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`🔌 ${this.name} circuit closed`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  // A call let through never reached the dependency, e.g. no limiter slot; says nothing either way
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`🔌 ${this.name} circuit open after ${this.failures} failure(s), pausing for ${this.cooldownMs}ms`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      cooldownMs: this.cooldownMs,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
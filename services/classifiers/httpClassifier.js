@@ -0,0 +1,63 @@
+const axios = require('axios');
+
+const DEFAULT_API_URL = 'https://data-science-dev-git-320866101884.us-central1.run.app/classify';
+
+/**
+ * HTTP Classifier
+ * Posts the request to the data-science /classify service
+ */
+class HttpClassifier {
+  constructor({
+    apiUrl = process.env.GENAI_API_URL || DEFAULT_API_URL,
+    batchApiUrl = process.env.GENAI_BATCH_API_URL,
+    // Label of the model the service runs; the service picks it, so change this when it switches
+    model = process.env.GENAI_MODEL || '',
+    timeoutMs = 300000
+  } = {}) {
+    this.name = 'http';
+    this.apiUrl = apiUrl;
+    this.model = model;
+    this.timeoutMs = timeoutMs; // 5 minutes by default
+
+    // Multi-trait calls need a deployment that serves them; without one GenAiService falls back to per-trait calls
+    if (batchApiUrl) {
+      this.batchApiUrl = batchApiUrl;
+      this.classifyBatch = this.postBatch;
+    }
+  }
+
+  // What produced an answer besides the payload: cached answers from another endpoint or model aren't reused
+  get cacheScope() {
+    return `${this.apiUrl}#${this.model}`;
+  }
+
+  /**
+   * @param {Object} request - Classify payload, see GenAiService.classify
+   * @returns {Promise<Object>} { present, confidence, rationale, score }
+   */
+  async classify(request) {
+    const response = await axios.post(this.apiUrl, request, {
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      timeout: this.timeoutMs
+    });
+    return response.data;
+  }
+
+  /**
+   * @param {Object} request - { text, version, project_input, concept_input, traits: [{ trait, trait_definition, trait_examples, examples }] }
+   * @returns {Promise<Object>} { results: [{ trait, present, confidence, rationale, score }] }
+   */
+  async postBatch(request) {
+    const response = await axios.post(this.batchApiUrl, request, {
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      timeout: this.timeoutMs
+    });
+    return response.data;
+  }
+}
+
+module.exports = HttpClassifier;
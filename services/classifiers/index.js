@@ -0,0 +1,26 @@
+const HttpClassifier = require('./httpClassifier');
+const LocalClassifier = require('./localClassifier');
+
+// A provider is any object with a name and async classify(request) resolving to
+// { present, confidence, rationale, score }; it throws when the call fails.
+// Providers that can answer several traits in one call also implement classifyBatch(request);
+// cacheScope names whatever else shapes their answers (endpoint, model) for the result cache key
+const PROVIDERS = {
+  http: HttpClassifier,
+  local: LocalClassifier
+};
+
+/**
+ * Create the classifier provider selected by name (GENAI_PROVIDER, default http)
+ * @param {string} name - Key of PROVIDERS
+ * @param {Object} options - Passed to the provider constructor
+ */
+function createClassifier(name = process.env.GENAI_PROVIDER || 'http', options = {}) {
+  const Provider = PROVIDERS[String(name).toLowerCase()];
+  if (!Provider) {
+    throw new Error(`Unknown GenAI provider "${name}", expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+module.exports = { createClassifier, PROVIDERS };
@@ -0,0 +1,106 @@
+// Words too common to say anything about a trait
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'i', 'if', 'in', 'is', 'it',
+  'its', "it's", 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'was', 'we', 'with', 'you'
+]);
+
+/**
+ * Local Classifier
+ * Deterministic, offline stand-in for the /classify service: a reaction is scored by its word overlap
+ * with the trait's positive examples and counter-examples. Good enough to exercise the pipeline,
+ * not to judge traits
+ */
+class LocalClassifier {
+  constructor({ minSimilarity = Number(process.env.GENAI_LOCAL_MIN_SIMILARITY) || 0.2 } = {}) {
+    this.name = 'local';
+    this.minSimilarity = minSimilarity;
+  }
+
+  // Answers depend on the similarity bar, so cached ones from another setting aren't reused
+  get cacheScope() {
+    return `minSimilarity=${this.minSimilarity}`;
+  }
+
+  tokenize(text) {
+    return new Set(
+      String(text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9']+/)
+        .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    );
+  }
+
+  // Overlap coefficient, so a short example fully contained in a long reaction still matches
+  similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const word of a) {
+      if (b.has(word)) shared++;
+    }
+    return shared / Math.min(a.size, b.size);
+  }
+
+  /**
+   * Closest example and its similarity to the reaction
+   * @returns {{ example: string, similarity: number }}
+   */
+  closest(words, examples) {
+    let best = { example: '', similarity: 0 };
+    for (const example of examples) {
+      const similarity = this.similarity(words, this.tokenize(example));
+      if (similarity > best.similarity) {
+        best = { example, similarity };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * @param {Object} request - Classify payload, see GenAiService.classify
+   * @returns {Promise<Object>} { present, confidence, rationale, score }
+   */
+  async classify(request) {
+    const examples = request.examples || {
+      positive: (Array.isArray(request.trait_examples)
+        ? request.trait_examples
+        : String(request.trait_examples || '').split('|')).map(example => String(example).trim()).filter(Boolean),
+      negative: []
+    };
+
+    const words = this.tokenize(request.text);
+    const positive = this.closest(words, examples.positive || []);
+    const negative = this.closest(words, examples.negative || []);
+
+    const present = positive.similarity >= this.minSimilarity && positive.similarity > negative.similarity;
+    const margin = Math.abs(positive.similarity - negative.similarity);
+    const confidence = Math.round(Math.min(0.99, 0.5 + margin / 2) * 100) / 100;
+
+    const nearest = present ? positive : (negative.similarity > 0 ? negative : positive);
+    const rationale = nearest.example
+      ? `Closest ${nearest === negative ? 'counter-example' : 'example'} (similarity ${nearest.similarity.toFixed(2)}): "${nearest.example}"`
+      : `No overlap with the examples for ${request.trait}`;
+
+    return {
+      present,
+      confidence,
+      rationale,
+      score: present ? 1 : 0
+    };
+  }
+
+  /**
+   * Same answers as classify, one per trait
+   * @param {Object} request - { text, version, project_input, concept_input, traits: [...] }
+   * @returns {Promise<Object>} { results: [{ trait, present, confidence, rationale, score }] }
+   */
+  async classifyBatch(request) {
+    const { traits, ...shared } = request;
+    const results = [];
+    for (const trait of traits) {
+      results.push({ trait: trait.trait, ...await this.classify({ ...shared, ...trait }) });
+    }
+    return { results };
+  }
+}
+
+module.exports = LocalClassifier;
@@ -0,0 +1,136 @@
+/**
+ * Estimate Service
+ * Predicts the Cloud Tasks fan-out, GenAI token usage and duration of a batch before it is submitted
+ */
+class EstimateService {
+  constructor() {
+    // Rough averages observed from the classify API; override per environment
+    this.charsPerToken = 4;
+    this.outputTokensPerCall = Number(process.env.GENAI_EST_OUTPUT_TOKENS) || 150;
+    this.avgLatencyMs = Number(process.env.GENAI_EST_LATENCY_MS) || 6000;
+    this.concurrency = Number(process.env.GENAI_EST_CONCURRENCY) || Number(process.env.GENAI_MAX_CONCURRENCY) || 10;
+  }
+
+  /**
+   * Approximate token count of a piece of text
+   * @param {string|string[]} text - Text or list of examples
+   * @returns {number}
+   */
+  estimateTokens(text) {
+    if (!text) return 0;
+    const value = Array.isArray(text) ? text.join(' | ') : String(text);
+    return Math.ceil(value.length / this.charsPerToken);
+  }
+
+  /**
+   * Estimate the work a batch would create
+   * Mirrors queueRun: one ML prediction task per trait and section carrying every row,
+   * then one GenAI validation per row and trait when the predictions call back.
+   * Grouped runs answer all of a reaction's traits in one call, sending its text and context once.
+   * Cache hits aren't predicted, so calls and tokens are an upper bound
+   * @param {Object} params
+   * @param {Object} params.sectionTexts - { initial_reaction: string[], context_prompt: string[] } texts that would be queued
+   * @param {Object[]} params.initialReactionTraits - Traits that would run on initial reactions
+   * @param {Object[]} params.contextPromptTraits - Traits that would run on context prompts
+   * @param {string} params.version - 'basic' or 'context'
+   * @param {string} params.projectInput - Project description sent with context version
+   * @param {string} params.conceptInput - Concept description sent with context version
+   * @param {boolean} params.grouped - Validations are grouped per reaction and the classifier takes several traits per call
+   * @returns {Object} Estimate
+   */
+  estimateBatch({ sectionTexts, initialReactionTraits, contextPromptTraits, version, projectInput = '', conceptInput = '', grouped = false }) {
+    const contextTokens = version === 'context'
+      ? this.estimateTokens(projectInput) + this.estimateTokens(conceptInput)
+      : 0;
+
+    const perTrait = [];
+    const totals = {
+      initialReaction: { mlPredictionTasks: 0, genAiValidations: 0, genAiCalls: 0 },
+      contextPrompt: { mlPredictionTasks: 0, genAiValidations: 0, genAiCalls: 0 }
+    };
+    let inputTokens = 0;
+
+    const sections = [
+      { key: 'initialReaction', type: 'INITIAL_REACTION', texts: sectionTexts.initial_reaction, traitList: initialReactionTraits },
+      { key: 'contextPrompt', type: 'CONTEXT_PROMPT', texts: sectionTexts.context_prompt, traitList: contextPromptTraits }
+    ];
+
+    for (const { key, type, texts, traitList } of sections) {
+      if (texts.length === 0) continue;
+
+      const textTokens = texts.reduce((sum, text) => sum + this.estimateTokens(text), 0);
+      const queuedTraits = traitList.filter(trait => trait.gcsFileName);
+      if (queuedTraits.length === 0) continue;
+
+      // A grouped call carries the reaction and context once, so only the first trait is charged for them
+      if (grouped) {
+        totals[key].genAiCalls += texts.length;
+        inputTokens += textTokens + contextTokens * texts.length;
+      }
+
+      for (const trait of queuedTraits) {
+        const traitTokens = this.estimateTokens(trait.title)
+          + this.estimateTokens(trait.trait_definition)
+          + this.estimateTokens(trait.trait_examples)
+          + this.estimateTokens((trait.curated_examples || []).map(example => example.text));
+        const traitInputTokens = grouped
+          ? traitTokens * texts.length
+          : textTokens + (traitTokens + contextTokens) * texts.length;
+
+        perTrait.push({
+          title: trait.title,
+          type,
+          mlPredictionTasks: 1,
+          genAiValidations: texts.length,
+          estimatedInputTokens: traitInputTokens
+        });
+
+        totals[key].mlPredictionTasks += 1;
+        totals[key].genAiValidations += texts.length;
+        if (!grouped) totals[key].genAiCalls += texts.length;
+        inputTokens += traitInputTokens;
+      }
+    }
+
+    const genAiValidations = totals.initialReaction.genAiValidations + totals.contextPrompt.genAiValidations;
+    const genAiCalls = totals.initialReaction.genAiCalls + totals.contextPrompt.genAiCalls;
+    // Every validation still gets its own answer, grouped or not
+    const outputTokens = genAiValidations * this.outputTokensPerCall;
+    const seconds = Math.ceil((genAiCalls * this.avgLatencyMs) / this.concurrency / 1000);
+
+    return {
+      mlPredictionTasks: {
+        initialReaction: totals.initialReaction.mlPredictionTasks,
+        contextPrompt: totals.contextPrompt.mlPredictionTasks,
+        total: totals.initialReaction.mlPredictionTasks + totals.contextPrompt.mlPredictionTasks
+      },
+      genAiValidations: {
+        initialReaction: totals.initialReaction.genAiValidations,
+        contextPrompt: totals.contextPrompt.genAiValidations,
+        total: genAiValidations
+      },
+      genAiCalls: {
+        initialReaction: totals.initialReaction.genAiCalls,
+        contextPrompt: totals.contextPrompt.genAiCalls,
+        total: genAiCalls
+      },
+      tokens: {
+        input: inputTokens,
+        output: outputTokens,
+        total: inputTokens + outputTokens
+      },
+      wallClock: {
+        seconds,
+        assumptions: {
+          grouped,
+          avgLatencyMs: this.avgLatencyMs,
+          concurrency: this.concurrency,
+          outputTokensPerCall: this.outputTokensPerCall
+        }
+      },
+      perTrait
+    };
+  }
+}
+
+module.exports = new EstimateService();
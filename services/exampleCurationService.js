@@ -0,0 +1,196 @@
+const Trait = require('../models/Trait');
+const traitCatalogService = require('./traitCatalogService');
+
+const SECTIONS = [
+  { key: 'initial_reaction', type: 'INITIAL_REACTION' },
+  { key: 'context_prompt', type: 'CONTEXT_PROMPT' }
+];
+
+const LABELS = ['positive', 'negative'];
+
+/**
+ * Example Curation Service
+ * Surfaces reviewer-corrected reactions per trait and promotes them into the trait's few-shot examples
+ */
+class ExampleCurationService {
+  /**
+   * Reactions reviewers corrected for a trait, through /api/traits/feedback (score changes)
+   * or /api/traits/store-feedback (shouldExist notes); only the latest revision of a reaction counts
+   * @param {Object} trait - Trait definition
+   * @param {Object} options - { type, label, limit }
+   * @returns {Promise<Object[]>} Newest first, each flagged with whether it's already promoted
+   */
+  async listCorrections(trait, { type, label, limit = 100 } = {}) {
+    const sections = type ? SECTIONS.filter(section => section.type === type) : SECTIONS;
+
+    const perSection = await Promise.all(sections.map(async ({ key, type: sectionType }) => {
+      const recordPath = `${key}.genAiRecords`;
+      const feedbackPath = `${key}.feedback`;
+
+      const [scoreChanges, notes] = await Promise.all([
+        Trait.aggregate([
+          {
+            $match: {
+              is_latest: { $ne: false },
+              [recordPath]: { $elemMatch: { traitTitle: trait.title, action: 'Score change via feedback' } }
+            }
+          },
+          { $unwind: `$${recordPath}` },
+          { $match: { [`${recordPath}.traitTitle`]: trait.title, [`${recordPath}.action`]: 'Score change via feedback' } },
+          {
+            $project: {
+              _id: 0,
+              documentId: '$_id',
+              hunch_id: 1,
+              text: `$${key}.text`,
+              label: { $cond: [{ $eq: [`$${recordPath}.finalScore`, 1] }, 'positive', 'negative'] },
+              note: `$${recordPath}.feedback`,
+              correctedAt: `$${recordPath}.timestamp`
+            }
+          }
+        ]),
+        Trait.aggregate([
+          { $match: { is_latest: { $ne: false }, [`${feedbackPath}.trait`]: trait.title } },
+          { $unwind: `$${feedbackPath}` },
+          { $match: { [`${feedbackPath}.trait`]: trait.title } },
+          {
+            $project: {
+              _id: 0,
+              documentId: '$_id',
+              hunch_id: 1,
+              text: `$${key}.text`,
+              label: { $cond: [{ $eq: [`$${feedbackPath}.shouldExist`, false] }, 'negative', 'positive'] },
+              note: `$${feedbackPath}.text`,
+              correctedAt: '$updatedAt'
+            }
+          }
+        ])
+      ]);
+
+      return [
+        ...scoreChanges.map(row => ({ ...row, type: sectionType, source: 'feedback' })),
+        ...notes.map(row => ({ ...row, type: sectionType, source: 'store-feedback' }))
+      ];
+    }));
+
+    const promoted = new Set((trait.curated_examples || []).map(example => this.exampleKey(example.label, example.text)));
+    const seen = new Set();
+    const corrections = [];
+
+    for (const row of perSection.flat().sort((a, b) => new Date(b.correctedAt) - new Date(a.correctedAt))) {
+      if (!row.text || (label && row.label !== label)) continue;
+
+      // A reaction corrected several times is listed once per section and label, newest correction first
+      const key = `${row.documentId}:${row.type}:${row.label}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      corrections.push({ ...row, promoted: promoted.has(this.exampleKey(row.label, row.text)) });
+      if (corrections.length >= limit) break;
+    }
+
+    return corrections;
+  }
+
+  exampleKey(label, text) {
+    return `${label}:${String(text).trim().toLowerCase()}`;
+  }
+
+  /**
+   * Examples in the form the classifier receives them: catalog examples are positives,
+   * curated examples are added under their label
+   * @param {Object} trait - Trait definition
+   * @returns {{ positive: string[], negative: string[] }}
+   */
+  structuredExamples(trait) {
+    const base = Array.isArray(trait.trait_examples)
+      ? trait.trait_examples
+      : String(trait.trait_examples || '').split('|');
+
+    const examples = {
+      positive: base.map(example => String(example).trim()).filter(Boolean),
+      negative: []
+    };
+    for (const example of trait.curated_examples || []) {
+      examples[example.label].push(example.text);
+    }
+    return examples;
+  }
+
+  /**
+   * Copy corrected reactions into the trait's curated examples as a new trait version
+   * @param {Object} trait - Trait definition, read with getById so the version check is meaningful
+   * @param {Object[]} items - [{ documentId, type, label, note }]
+   * @returns {Promise<{ error: string }|{ trait: Object, added: Object[], skipped: Object[] }>}
+   */
+  async promote(trait, items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      return { error: 'items must be a non-empty array of { documentId, type, label }' };
+    }
+
+    for (const item of items) {
+      if (!item.documentId || !SECTIONS.some(section => section.type === item.type) || !LABELS.includes(item.label)) {
+        return { error: 'Each item needs a documentId, type (INITIAL_REACTION or CONTEXT_PROMPT) and label (positive or negative)' };
+      }
+    }
+
+    const documents = await Trait.find({ _id: { $in: items.map(item => item.documentId) } })
+      .select('initial_reaction.text context_prompt.text')
+      .lean();
+    const byId = new Map(documents.map(doc => [doc._id.toString(), doc]));
+
+    const curated = [...(trait.curated_examples || [])];
+    const existing = new Set(curated.map(example => this.exampleKey(example.label, example.text)));
+    const added = [];
+    const skipped = [];
+
+    for (const item of items) {
+      const doc = byId.get(String(item.documentId));
+      const section = SECTIONS.find(s => s.type === item.type);
+      const text = doc && doc[section.key] && doc[section.key].text;
+
+      if (!text) {
+        skipped.push({ documentId: item.documentId, type: item.type, reason: 'Reaction not found or has no text' });
+        continue;
+      }
+
+      const key = this.exampleKey(item.label, text);
+      if (existing.has(key)) {
+        skipped.push({ documentId: item.documentId, type: item.type, reason: 'Already an example' });
+        continue;
+      }
+      existing.add(key);
+
+      const example = {
+        text: text.trim(),
+        label: item.label,
+        section: item.type,
+        source_document_id: doc._id,
+        note: item.note || '',
+        promoted_at: new Date()
+      };
+      curated.push(example);
+      added.push(example);
+    }
+
+    if (added.length === 0) {
+      return { trait, added, skipped };
+    }
+
+    const updated = await traitCatalogService.applyUpdate(trait._id, { curated_examples: curated }, trait.version || 1);
+    return { trait: updated, added, skipped };
+  }
+
+  /**
+   * Remove one curated example, also recorded as a new trait version
+   */
+  async remove(trait, exampleId) {
+    const curated = (trait.curated_examples || []).filter(example => String(example._id) !== String(exampleId));
+    if (curated.length === (trait.curated_examples || []).length) return null;
+
+    return traitCatalogService.applyUpdate(trait._id, { curated_examples: curated }, trait.version || 1);
+  }
+}
+
+module.exports = new ExampleCurationService();
+module.exports.LABELS = LABELS;
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Experiment = require('../models/Experiment');
+const Trait = require('../models/Trait');
+const traitCatalogService = require('./traitCatalogService');
+const exampleCurationService = require('./exampleCurationService');
+
+const SECTIONS = ['initial_reaction', 'context_prompt'];
+
+const EDITABLE_FIELDS = ['name', 'description', 'status', 'share', 'traits', 'treatment'];
+
+/**
+ * Experiment Service
+ * Picks the validations an experiment covers, builds its treatment arm and reports how the arms compare
+ */
+class ExperimentService {
+  /**
+   * Resolve the experiment a submission names
+   * @param {string} value - Experiment id or name
+   * @returns {Promise<{ error: string }|{ experiment: Object|null }>}
+   */
+  async resolve(value) {
+    if (!value) return { experiment: null };
+
+    const experiment = await Experiment.findOne(
+      mongoose.isValidObjectId(value) ? { _id: value } : { name: value }
+    ).lean();
+    if (!experiment) {
+      return { error: `Experiment not found: ${value}` };
+    }
+    if (experiment.status !== 'active') {
+      return { error: `Experiment ${experiment.name} is not active` };
+    }
+    return { experiment };
+  }
+
+  /**
+   * Check a create or update body
+   * @returns {Promise<{ error: string }|{ update: Object }>}
+   */
+  async validate(body) {
+    const update = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (body[field] !== undefined) update[field] = body[field];
+    }
+
+    if (update.traits !== undefined) {
+      if (Array.isArray(update.traits) && update.traits.length === 0) {
+        update.traits = [];
+      } else {
+        const selection = await traitCatalogService.validateSelection(update.traits);
+        if (selection.error) return selection;
+        update.traits = selection.titles;
+      }
+    }
+
+    if (update.treatment !== undefined) {
+      const { version = '', trait_overrides: overrides = [] } = update.treatment || {};
+      if (!Array.isArray(overrides)) {
+        return { error: 'treatment.trait_overrides must be a list' };
+      }
+
+      const all = await traitCatalogService.getAll();
+      const unknown = overrides.filter(override => !all.some(trait => trait.title === (override && override.trait)));
+      if (unknown.length > 0) {
+        return { error: `Unknown trait(s) in treatment.trait_overrides: ${unknown.map(override => override && override.trait).join(', ')}` };
+      }
+      if (!version && overrides.length === 0) {
+        return { error: 'treatment must change the version or override at least one trait' };
+      }
+      update.treatment = { version: String(version).toLowerCase(), trait_overrides: overrides };
+    }
+
+    return { update };
+  }
+
+  /**
+   * Whether a validation is classified by both arms
+   * Sampling hashes the experiment, reaction and trait, so retries and redeliveries land in the same arm set
+   */
+  covers(experiment, documentId, traitTitle) {
+    if (!experiment || experiment.status !== 'active') return false;
+    if (experiment.traits.length > 0 && !experiment.traits.includes(traitTitle)) return false;
+    if (experiment.share >= 1) return true;
+    if (experiment.share <= 0) return false;
+
+    const hash = crypto.createHash('sha1').update(`${experiment._id}:${documentId}:${traitTitle}`).digest();
+    return hash.readUInt32BE(0) / 0x100000000 < experiment.share;
+  }
+
+  /**
+   * The trait as the treatment arm classifies it, in the shape GenAiService.classifyMany takes
+   * @param {Object} experiment
+   * @param {Object} trait - Catalog trait definition
+   */
+  treatmentTrait(experiment, trait) {
+    const override = experiment.treatment.trait_overrides.find(entry => entry.trait === trait.title) || {};
+    const treated = {
+      ...trait,
+      trait_definition: override.trait_definition !== undefined ? override.trait_definition : trait.trait_definition,
+      trait_examples: override.trait_examples !== undefined ? override.trait_examples : trait.trait_examples
+    };
+
+    return {
+      title: treated.title,
+      definition: treated.trait_definition || '',
+      examples: treated.trait_examples || '',
+      structuredExamples: exampleCurationService.structuredExamples(treated)
+    };
+  }
+
+  overrides(experiment, traitTitle) {
+    return experiment.treatment.trait_overrides.some(entry => entry.trait === traitTitle);
+  }
+
+  // Classifier version the treatment arm runs with
+  treatmentVersion(experiment, controlVersion) {
+    return experiment.treatment.version || controlVersion;
+  }
+
+  /**
+   * Agreement between the arms per trait, over every record the experiment produced
+   * @param {Object} experiment
+   * @param {Object} options - { runId, type } to narrow the records
+   */
+  async report(experiment, { runId, type } = {}) {
+    const sections = type ? SECTIONS.filter(section => section.toUpperCase() === type) : SECTIONS;
+    const recordMatch = { 'experiment.id': new mongoose.Types.ObjectId(String(experiment._id)) };
+    if (runId) recordMatch['experiment.runId'] = new mongoose.Types.ObjectId(String(runId));
+
+    const rows = (await Promise.all(sections.map((section) => {
+      const recordPath = `${section}.genAiRecords`;
+      const unwoundMatch = {};
+      for (const [field, value] of Object.entries(recordMatch)) {
+        unwoundMatch[`${recordPath}.${field}`] = value;
+      }
+
+      return Trait.aggregate([
+        { $match: { [recordPath]: { $elemMatch: recordMatch } } },
+        { $unwind: `$${recordPath}` },
+        { $match: unwoundMatch },
+        {
+          $project: {
+            _id: 0,
+            traitTitle: `$${recordPath}.traitTitle`,
+            arms: `$${recordPath}.experiment.arms`
+          }
+        }
+      ]);
+    }))).flat();
+
+    const byTrait = new Map();
+    for (const { traitTitle, arms } of rows) {
+      if (!byTrait.has(traitTitle)) {
+        byTrait.set(traitTitle, {
+          trait: traitTitle,
+          compared: 0,
+          agree: 0,
+          disagree: 0,
+          bothPresent: 0,
+          bothAbsent: 0,
+          controlOnlyPresent: 0,
+          treatmentOnlyPresent: 0,
+          decisionChanges: 0,
+          treatmentFailed: 0,
+          confidenceSum: { control: 0, treatment: 0 }
+        });
+      }
+      const stats = byTrait.get(traitTitle);
+
+      const control = (arms || []).find(arm => arm.arm === 'control');
+      const treatment = (arms || []).find(arm => arm.arm === 'treatment');
+      if (!control || !control.genAiSays || !treatment || !treatment.genAiSays) {
+        stats.treatmentFailed++;
+        continue;
+      }
+
+      const controlPresent = !!control.genAiSays.present;
+      const treatmentPresent = !!treatment.genAiSays.present;
+      stats.compared++;
+      stats.confidenceSum.control += control.genAiSays.confidence || 0;
+      stats.confidenceSum.treatment += treatment.genAiSays.confidence || 0;
+
+      if (controlPresent === treatmentPresent) {
+        stats.agree++;
+        stats[controlPresent ? 'bothPresent' : 'bothAbsent']++;
+      } else {
+        stats.disagree++;
+        stats[controlPresent ? 'controlOnlyPresent' : 'treatmentOnlyPresent']++;
+      }
+      // The treatment's finalScore is what it would have decided had it been in charge
+      if (control.finalScore !== treatment.finalScore) stats.decisionChanges++;
+    }
+
+    const traits = [...byTrait.values()]
+      .map(({ confidenceSum, ...stats }) => ({
+        ...stats,
+        agreementRate: stats.compared > 0 ? Math.round((stats.agree / stats.compared) * 1000) / 1000 : null,
+        avgConfidence: {
+          control: stats.compared > 0 ? Math.round((confidenceSum.control / stats.compared) * 1000) / 1000 : null,
+          treatment: stats.compared > 0 ? Math.round((confidenceSum.treatment / stats.compared) * 1000) / 1000 : null
+        }
+      }))
+      .sort((a, b) => a.trait.localeCompare(b.trait));
+
+    const totals = traits.reduce((sum, stats) => ({
+      compared: sum.compared + stats.compared,
+      agree: sum.agree + stats.agree,
+      disagree: sum.disagree + stats.disagree,
+      decisionChanges: sum.decisionChanges + stats.decisionChanges,
+      treatmentFailed: sum.treatmentFailed + stats.treatmentFailed
+    }), { compared: 0, agree: 0, disagree: 0, decisionChanges: 0, treatmentFailed: 0 });
+    totals.agreementRate = totals.compared > 0 ? Math.round((totals.agree / totals.compared) * 1000) / 1000 : null;
+
+    return { experiment: { id: experiment._id, name: experiment.name, share: experiment.share, treatment: experiment.treatment }, totals, traits };
+  }
+}
+
+module.exports = new ExperimentService();
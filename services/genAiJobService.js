@@ -0,0 +1,266 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const GenAiJob = require('../models/GenAiJob');
+
+/**
+ * GenAI Job Service
+ * Persists GenAI validation tasks as jobs and drains them with a poller on every instance.
+ * Jobs are claimed with a lease that a heartbeat extends while they run, so a job whose instance
+ * dies is picked up again once the lease lapses
+ */
+class GenAiJobService {
+  constructor() {
+    this.concurrency = process.env.GENAI_JOB_CONCURRENCY !== undefined ? Number(process.env.GENAI_JOB_CONCURRENCY) : 5; // 0 stops this instance from running jobs
+    this.maxAttempts = Number(process.env.GENAI_JOB_MAX_ATTEMPTS) || 3;
+    this.retryBaseMs = Number(process.env.GENAI_JOB_RETRY_BASE_MS) || 30000;
+    this.retryMaxMs = Number(process.env.GENAI_JOB_RETRY_MAX_MS) || 600000;
+    this.pollMs = Number(process.env.GENAI_JOB_POLL_MS) || 2000;
+    this.leaseMs = Number(process.env.GENAI_JOB_LEASE_MS) || 120000;
+    this.retentionMs = (process.env.GENAI_JOB_RETENTION_HOURS !== undefined ? Number(process.env.GENAI_JOB_RETENTION_HOURS) : 168) * 3600000;
+
+    this.instance = `${os.hostname()}:${process.pid}`;
+    this.handler = null;
+    this.abandon = null;
+    this.active = 0;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Key of one validation: the reaction, its section, the trait and the run
+   */
+  validationKey({ documentId, type, modelFilename, runId }) {
+    return [documentId, type, modelFilename, runId || 'none'].map(String).join(':');
+  }
+
+  // A grouped task covers every trait of its reaction and section in the run
+  taskKey(payload) {
+    return this.validationKey({
+      documentId: payload.item ? payload.item.ID : payload.document_id,
+      type: payload.type,
+      modelFilename: Array.isArray(payload.predictions) ? '*' : payload.model_filename,
+      runId: payload.run_id
+    });
+  }
+
+  /**
+   * Persist a task; once this resolves the task survives a restart of any instance
+   * A task whose key already has a job is a redelivery and gets that job back instead
+   * @param {Object} payload - Worker payload, per-trait or grouped
+   * @returns {Promise<{ job: Object, duplicate: boolean }>}
+   */
+  async enqueue(payload) {
+    const documentId = payload.item ? payload.item.ID : payload.document_id;
+    const taskKey = this.taskKey(payload);
+
+    let job;
+    try {
+      job = await GenAiJob.create({
+        // Without a run a repeat can't be told from a deliberate reprocess, so those tasks aren't deduplicated
+        task_key: payload.run_id ? taskKey : undefined,
+        payload,
+        // Malformed ids still get a job; the validation reports them instead of the task being redelivered forever
+        document_id: mongoose.isValidObjectId(documentId) ? documentId : undefined,
+        run_id: payload.run_id && mongoose.isValidObjectId(payload.run_id) ? payload.run_id : null,
+        type: payload.type,
+        model_filename: payload.model_filename,
+        max_attempts: this.maxAttempts
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      console.log(`♻️ Duplicate GenAI task skipped: ${taskKey}`);
+      return { job: await GenAiJob.findOne({ task_key: taskKey }).lean(), duplicate: true };
+    }
+
+    // Most jobs start right away on the instance that received them
+    setImmediate(() => this.poll());
+    return { job, duplicate: false };
+  }
+
+  /**
+   * Start draining jobs
+   * @param {Function} handler - async (payload, { attempt, final }) resolving to
+   *   { success, retryable, payload } where payload narrows what the next attempt redoes
+   * @param {Function} abandon - async (payload, error) failing the validations of a job whose
+   *   last attempt never reported back or crashed, as the handler would have on a final failure
+   */
+  start(handler, abandon = null) {
+    this.handler = handler;
+    this.abandon = abandon;
+    if (this.concurrency <= 0 || this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), this.pollMs);
+    this.timer.unref();
+    setImmediate(() => this.poll());
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Claim jobs until this instance is at its concurrency limit or nothing is due
+  async poll() {
+    if (!this.handler || this.polling || this.concurrency <= 0) return;
+    this.polling = true;
+    try {
+      while (this.active < this.concurrency) {
+        const job = await this.claim();
+        if (!job) break;
+
+        this.active++;
+        this.run(job)
+          .catch(error => console.error(`❌ GenAI job ${job._id} could not be settled:`, error))
+          .finally(() => {
+            this.active--;
+            setImmediate(() => this.poll());
+          });
+      }
+    } catch (error) {
+      console.error('❌ GenAI job poll failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Take a due queued job, or a running one whose instance stopped renewing its lease
+   */
+  claim() {
+    const now = new Date();
+    return GenAiJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', run_after: { $lte: now } },
+          { status: 'running', lease_expires_at: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'running',
+          locked_by: this.instance,
+          lease_expires_at: new Date(now.getTime() + this.leaseMs),
+          started_at: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { run_after: 1 }, new: true }
+    ).lean();
+  }
+
+  async run(job) {
+    const maxAttempts = job.max_attempts || this.maxAttempts;
+    if (job.attempts > maxAttempts) {
+      // The last attempt never reported back, e.g. its instance crashed mid-validation
+      const error = job.last_error || 'Lease expired on the last attempt';
+      await this.failValidations(job, error);
+      return this.settle(job, { success: false, retryable: true, error }, true);
+    }
+    const final = job.attempts >= maxAttempts;
+
+    // Keep the claim while the validation runs; classify calls can wait minutes for the limiter
+    const heartbeat = setInterval(() => {
+      GenAiJob.updateOne(
+        { _id: job._id, status: 'running', locked_by: this.instance },
+        { $set: { lease_expires_at: new Date(Date.now() + this.leaseMs) } }
+      ).catch(error => console.error(`❌ GenAI job ${job._id} heartbeat failed:`, error.message));
+    }, Math.max(1000, Math.floor(this.leaseMs / 3)));
+
+    let result;
+    try {
+      result = await this.handler(job.payload, { attempt: job.attempts, final });
+    } catch (error) {
+      console.error(`❌ GenAI job ${job._id} crashed (attempt ${job.attempts}):`, error);
+      result = { success: false, retryable: true, error: error.message };
+      // A crash skips the handler's own failure handling, which a final attempt needs
+      if (final) await this.failValidations(job, error.message);
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    await this.settle(job, result || { success: false, retryable: true }, final);
+  }
+
+  // Fail the validations of a job that is given up without its handler having done so
+  async failValidations(job, error) {
+    if (!this.abandon) return;
+    try {
+      await this.abandon(job.payload, error);
+    } catch (abandonErr) {
+      console.error(`❌ GenAI job ${job._id} could not be failed on its run:`, abandonErr);
+    }
+  }
+
+  /**
+   * Record how an attempt ended: succeeded, queued for another attempt, failed or dead-lettered
+   * The owner check keeps an instance whose lease lapsed from overwriting the job's new owner
+   */
+  settle(job, result, final) {
+    const now = new Date();
+    const owned = { _id: job._id, status: 'running', locked_by: this.instance };
+    const release = { locked_by: null, lease_expires_at: null };
+
+    if (result.success) {
+      return GenAiJob.updateOne(owned, {
+        $set: { ...release, status: 'succeeded', finished_at: now, expires_at: this.retentionMs > 0 ? new Date(now.getTime() + this.retentionMs) : null }
+      });
+    }
+
+    if (result.retryable === false) {
+      return GenAiJob.updateOne(owned, {
+        $set: { ...release, status: 'failed', last_error: result.error, finished_at: now }
+      });
+    }
+
+    if (final) {
+      console.error(`☠️ GenAI job ${job._id} dead-lettered after ${job.attempts} attempt(s):`, result.error);
+      return GenAiJob.updateOne(owned, {
+        $set: { ...release, status: 'dead_lettered', last_error: result.error, finished_at: now }
+      });
+    }
+
+    return GenAiJob.updateOne(owned, {
+      $set: {
+        ...release,
+        status: 'queued',
+        last_error: result.error,
+        run_after: new Date(now.getTime() + this.backoffDelay(job.attempts)),
+        ...(result.payload ? { payload: result.payload } : {})
+      }
+    });
+  }
+
+  // Exponential backoff with full jitter between attempts
+  backoffDelay(attempt) {
+    const cap = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** (attempt - 1));
+    return Math.floor(Math.random() * cap);
+  }
+
+  /**
+   * Job counts per state, optionally for one run, and this instance's load
+   */
+  async getStatus(runId) {
+    const match = runId ? { run_id: new mongoose.Types.ObjectId(String(runId)) } : {};
+    const counts = await GenAiJob.aggregate([
+      { $match: match },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const byStatus = { queued: 0, running: 0, succeeded: 0, failed: 0, dead_lettered: 0 };
+    for (const { _id, count } of counts) {
+      byStatus[_id] = count;
+    }
+
+    return {
+      ...byStatus,
+      maxAttempts: this.maxAttempts,
+      instance: {
+        id: this.instance,
+        concurrency: this.concurrency,
+        active: this.active
+      }
+    };
+  }
+}
+
+module.exports = new GenAiJobService();
@@ -1,95 +1,434 @@
-const axios = require('axios');
+const { createClassifier } = require('./classifiers');
+const CircuitBreaker = require('./circuitBreaker');
+const RateLimiter = require('./rateLimiter');
+const resultCacheService = require('./resultCacheService');
+const responseValidator = require('./responseValidator');
+
+// Network errors worth another attempt; anything else without a 429/5xx status is permanent
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+// Action recorded when the classifier's answer can't be used, instead of defaulting to Agree
+const INVALID_RESPONSE_ACTION = 'Invalid GenAI response';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
  * GenAI Service
- * Handles communication with the GenAI classification API
+ * Classifies reactions through the configured provider and turns the result into an action
  */
 class GenAiService {
   constructor() {
-    this.apiUrl = 'https://data-science-dev-git-320866101884.us-central1.run.app/classify';
-    this.confidenceThreshold = 0.80; // Single threshold as requested
+    // GENAI_PROVIDER=local runs without the classify service, e.g. on a laptop or in tests
+    this.provider = createClassifier();
+    this.confidenceThreshold = Number(process.env.GENAI_CONFIDENCE_THRESHOLD) || 0.80; // Fallback when a trait sets none
+
+    this.maxAttempts = Number(process.env.GENAI_MAX_ATTEMPTS) || 4;
+    this.retryBaseMs = Number(process.env.GENAI_RETRY_BASE_MS) || 1000;
+    this.retryMaxMs = Number(process.env.GENAI_RETRY_MAX_MS) || 30000;
+    this.breaker = new CircuitBreaker({
+      name: 'GenAI',
+      failureThreshold: Number(process.env.GENAI_BREAKER_THRESHOLD) || 5,
+      cooldownMs: Number(process.env.GENAI_BREAKER_COOLDOWN_MS) || 60000
+    });
+
+    // Shared by every worker through Mongo; 0 turns a limit off
+    this.limiter = new RateLimiter({
+      name: 'classify',
+      maxConcurrency: process.env.GENAI_MAX_CONCURRENCY !== undefined ? Number(process.env.GENAI_MAX_CONCURRENCY) : 10,
+      requestsPerMinute: Number(process.env.GENAI_RPM) || 0,
+      pollMs: Number(process.env.GENAI_LIMITER_POLL_MS) || 500,
+      maxWaitMs: Number(process.env.GENAI_LIMITER_MAX_WAIT_MS) || 600000
+    });
+  }
+
+  /**
+   * Swap the provider at runtime, e.g. to run a script against the local classifier
+   * @param {string|Object} provider - Provider name or an object implementing classify(request)
+   */
+  setProvider(provider) {
+    this.provider = typeof provider === 'string' ? createClassifier(provider) : provider;
+  }
+
+  /**
+   * Timeouts, dropped connections, 429 and 5xx are retried; 4xx and malformed requests are not
+   */
+  isRetryable(error) {
+    const status = error.response && error.response.status;
+    if (status) return status === 429 || status >= 500;
+    return RETRYABLE_CODES.includes(error.code) || !!error.request;
   }
 
   /**
-   * Call GenAI classify API
+   * Exponential backoff with full jitter; a Retry-After header on a 429 wins when it's longer
+   * @param {number} attempt - Attempt that just failed, starting at 1
+   */
+  backoffDelay(attempt, error) {
+    const cap = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** (attempt - 1));
+    const delay = Math.floor(Math.random() * cap);
+
+    const retryAfter = Number(error.response && error.response.headers && error.response.headers['retry-after']);
+    return retryAfter > 0 ? Math.max(delay, Math.min(retryAfter * 1000, this.retryMaxMs)) : delay;
+  }
+
+  // Whether classifyMany answers several traits in one provider call
+  supportsBatch() {
+    return typeof this.provider.classifyBatch === 'function';
+  }
+
+  async getStatus() {
+    return {
+      provider: this.provider.name,
+      maxAttempts: this.maxAttempts,
+      circuit: this.breaker.getStatus(),
+      limiter: await this.limiter.getStatus(),
+      cache: resultCacheService.getStatus()
+    };
+  }
+
+  /**
+   * Check a provider answer against the response schema
+   * @param {Object} result - Successful call result, its data replaced by the normalized answer
+   * @param {*} raw - The answer as the provider sent it
+   * @returns {Object} The result, or a non-retryable failure flagged invalidResponse that keeps the raw answer
+   */
+  validateResult(result, raw) {
+    const validation = responseValidator.validate(raw);
+    if (validation.valid) {
+      return {
+        ...result,
+        data: validation.response,
+        ...(validation.normalized.length > 0 ? { normalized: validation.normalized } : {})
+      };
+    }
+
+    console.error(`GenAI returned an invalid response (${result.provider}):`, validation.errors.join('; '));
+    return {
+      success: false,
+      provider: result.provider,
+      error: `Invalid classifier response: ${validation.errors.join('; ')}`,
+      retryable: false,
+      invalidResponse: true,
+      responseErrors: validation.errors,
+      rawResponse: responseValidator.capture(raw),
+      attempts: result.attempts,
+      data: null
+    };
+  }
+
+  /**
+   * Build the classify payload for one trait
+   */
+  buildPayload(text, trait, version, projectInput, conceptInput) {
+    const payload = {
+      text,
+      trait: trait.title,
+      trait_definition: trait.definition,
+      trait_examples: trait.examples,
+      version,
+      project_input: projectInput,
+      concept_input: conceptInput
+    };
+    // trait_examples stays as-is for classifier deployments that don't read the structured form
+    if (trait.structuredExamples) {
+      payload.examples = trait.structuredExamples;
+    }
+    return payload;
+  }
+
+  /**
+   * Call the classify provider, retrying retryable failures while the circuit allows it
    * @param {string} text - The reaction text to classify
    * @param {string} traitTitle - The trait title
    * @param {string} traitDefinition - The trait definition
    * @param {string} traitExamples - The trait examples
    * @param {string} version - API version (default: 'basic')
-   * @returns {Promise<Object>} GenAI response
+   * @param {string} projectInput - Project description sent with context version
+   * @param {string} conceptInput - Concept description sent with context version
+   * @param {Object} examples - Structured examples { positive: string[], negative: string[] }
+   * @param {Object} options - { bypassCache: skip the cache lookup; the fresh result still refreshes it }
+   * @returns {Promise<Object>} { success, data, cacheHit } or { success: false, error, retryable, attempts, statusCode, circuitOpen, invalidResponse }
    */
-  async classify(text, traitTitle, traitDefinition, traitExamples, version = 'basic', projectInput = '', conceptInput = '') {
-    try {
-      const payload = {
-        text,
-        trait: traitTitle,
-        trait_definition: traitDefinition,
-        trait_examples: traitExamples,
-        version,
-        project_input: projectInput,
-        concept_input: conceptInput
-      };
-      const response = await axios.post(this.apiUrl, payload, {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: 300000 // 5 minutes timeout
-      });
+  async classify(text, traitTitle, traitDefinition, traitExamples, version = 'basic', projectInput = '', conceptInput = '', examples = null, { bypassCache = false } = {}) {
+    const payload = this.buildPayload(text, {
+      title: traitTitle,
+      definition: traitDefinition,
+      examples: traitExamples,
+      structuredExamples: examples
+    }, version, projectInput, conceptInput);
 
-      return {
-        success: true,
-        data: response.data
-      };
-    } catch (error) {
-      console.error('GenAI API Error:', error.message);
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', error.response.data);
+    const cacheKey = resultCacheService.enabled ? resultCacheService.key(payload, this.provider) : null;
+    if (cacheKey && !bypassCache) {
+      const cached = await resultCacheService.get(cacheKey);
+      // Entries cached before responses were validated may not pass; those are simply refetched
+      if (cached && responseValidator.validate(cached).valid) {
+        return {
+          success: true,
+          provider: this.provider.name,
+          attempts: 0,
+          cacheHit: true,
+          data: cached
+        };
       }
-      return {
-        success: false,
-        error: error.message,
-        data: null
-      };
     }
+
+    const called = await this.callProvider(() => this.provider.classify(payload));
+    if (!called.success) return called;
+
+    const result = this.validateResult(called, called.data);
+    if (!result.success) return result;
+
+    // Only valid answers are cached, an invalid one is never reused
+    if (cacheKey) {
+      await resultCacheService.set(cacheKey, result.data, { provider: this.provider.name, traitTitle });
+    }
+    return { ...result, cacheHit: false };
+  }
+
+  /**
+   * Classify one reaction against many traits
+   * Cached traits are answered from the cache, the rest go out in a single call when the provider
+   * supports classifyBatch and one call per trait otherwise
+   * @param {string} text - The reaction text to classify
+   * @param {Object[]} traits - [{ title, definition, examples, structuredExamples }]
+   * @param {string} version - API version (default: 'basic')
+   * @param {string} projectInput - Project description sent with context version
+   * @param {string} conceptInput - Concept description sent with context version
+   * @param {Object} options - { bypassCache }
+   * @returns {Promise<Object>} Trait title to the same result shape classify returns
+   */
+  async classifyMany(text, traits, version = 'basic', projectInput = '', conceptInput = '', { bypassCache = false } = {}) {
+    const results = {};
+    const pending = [];
+
+    for (const trait of traits) {
+      const payload = this.buildPayload(text, trait, version, projectInput, conceptInput);
+      const cacheKey = resultCacheService.enabled ? resultCacheService.key(payload, this.provider) : null;
+      const cached = cacheKey && !bypassCache ? await resultCacheService.get(cacheKey) : null;
+
+      if (cached && responseValidator.validate(cached).valid) {
+        results[trait.title] = { success: true, provider: this.provider.name, attempts: 0, cacheHit: true, data: cached };
+      } else {
+        pending.push({ trait, payload, cacheKey });
+      }
+    }
+    if (pending.length === 0) return results;
+
+    const provider = this.provider;
+    if (typeof provider.classifyBatch !== 'function') {
+      for (const { trait } of pending) {
+        results[trait.title] = await this.classify(
+          text, trait.title, trait.definition, trait.examples, version, projectInput, conceptInput,
+          trait.structuredExamples, { bypassCache: true }
+        );
+      }
+      return results;
+    }
+
+    // Text and context go once; each trait carries only its own definition and examples
+    const request = {
+      text,
+      version,
+      project_input: projectInput,
+      concept_input: conceptInput,
+      traits: pending.map(({ payload }) => ({
+        trait: payload.trait,
+        trait_definition: payload.trait_definition,
+        trait_examples: payload.trait_examples,
+        ...(payload.examples ? { examples: payload.examples } : {})
+      }))
+    };
+
+    const batch = await this.callProvider(() => provider.classifyBatch(request));
+    const answers = new Map(
+      batch.success && Array.isArray(batch.data && batch.data.results)
+        ? batch.data.results.filter(answer => answer && typeof answer === 'object').map(answer => [answer.trait, answer])
+        : []
+    );
+
+    for (const { trait, cacheKey } of pending) {
+      if (!batch.success) {
+        results[trait.title] = batch;
+        continue;
+      }
+
+      const answer = answers.get(trait.title);
+      if (!answer) {
+        results[trait.title] = {
+          success: false,
+          provider: this.provider.name,
+          error: `No result for trait ${trait.title} in batch response`,
+          retryable: true,
+          attempts: batch.attempts,
+          data: null
+        };
+        continue;
+      }
+
+      const { trait: answeredTrait, ...raw } = answer;
+      const result = this.validateResult({ success: true, provider: this.provider.name, attempts: batch.attempts }, raw);
+      if (result.success && cacheKey) {
+        await resultCacheService.set(cacheKey, result.data, { provider: this.provider.name, traitTitle: trait.title });
+      }
+      results[trait.title] = result.success ? { ...result, cacheHit: false, batched: true } : { ...result, batched: true };
+    }
+    return results;
+  }
+
+  /**
+   * Run one provider call through the circuit breaker, the shared limiter and the retry policy
+   * @param {Function} call - Makes the provider request and resolves to its response data
+   */
+  async callProvider(call) {
+    let attempts = 0;
+    let lastError;
+
+    while (attempts < this.maxAttempts) {
+      if (!this.breaker.canRequest()) {
+        return {
+          success: false,
+          provider: this.provider.name,
+          error: lastError ? `${lastError.message} (circuit open)` : 'GenAI circuit open, classifier unavailable',
+          statusCode: lastError && lastError.response ? lastError.response.status : undefined,
+          retryable: true,
+          circuitOpen: true,
+          attempts,
+          data: null
+        };
+      }
+
+      // Waiting for a slot says nothing about the classifier, so it stays out of the breaker
+      let lease;
+      try {
+        lease = await this.limiter.acquire();
+      } catch (limiterError) {
+        console.error('GenAI limiter error:', limiterError.message);
+        // Otherwise a half-open breaker would wait forever on a trial that never ran
+        this.breaker.releaseTrial();
+        return {
+          success: false,
+          provider: this.provider.name,
+          error: limiterError.message,
+          retryable: true,
+          limited: true,
+          attempts,
+          data: null
+        };
+      }
+
+      attempts++;
+      let backoff = 0;
+      try {
+        const data = await call();
+        this.breaker.recordSuccess();
+
+        return {
+          success: true,
+          provider: this.provider.name,
+          attempts,
+          data
+        };
+      } catch (error) {
+        lastError = error;
+        const retryable = this.isRetryable(error);
+
+        console.error(`GenAI API Error (${this.provider.name}, attempt ${attempts}/${this.maxAttempts}):`, error.message);
+        if (error.response) {
+          console.error('Response status:', error.response.status);
+          console.error('Response data:', error.response.data);
+        }
+
+        if (!retryable) {
+          // The request was rejected, the classifier itself is up
+          this.breaker.recordSuccess();
+          break;
+        }
+        this.breaker.recordFailure();
+
+        // No point waiting if the breaker just opened, the next check fails fast
+        if (attempts < this.maxAttempts && this.breaker.state !== 'open') {
+          backoff = this.backoffDelay(attempts, error);
+        }
+      } finally {
+        await this.limiter.releaseSlot(lease).catch(releaseError => console.error('❌ Failed to release GenAI slot:', releaseError.message));
+      }
+
+      // Back off without holding the slot; the next attempt queues for one again
+      if (backoff > 0) {
+        await sleep(backoff);
+      }
+    }
+
+    return {
+      success: false,
+      provider: this.provider.name,
+      error: lastError.message,
+      statusCode: lastError.response ? lastError.response.status : undefined,
+      retryable: this.isRetryable(lastError),
+      attempts,
+      data: null
+    };
+  }
+
+  /**
+   * Confidence a trait needs for GenAI to overturn the ML score in one direction
+   * Most specific wins: section direction, section default, trait default, then the global threshold
+   * @param {Object} trait - Trait definition with optional confidence_thresholds
+   * @param {string} section - initial_reaction or context_prompt
+   * @param {boolean} present - GenAI's answer, i.e. the direction a flip would go
+   * @returns {{ threshold: number, source: string }}
+   */
+  resolveThreshold(trait, section, present) {
+    const thresholds = (trait && trait.confidence_thresholds) || {};
+    const sectionThresholds = thresholds[section] || {};
+    const direction = present ? 'flip_to_present' : 'flip_to_absent';
+
+    const candidates = [
+      [sectionThresholds[direction], `${section}.${direction}`],
+      [sectionThresholds.default, `${section}.default`],
+      [thresholds.default, 'default']
+    ];
+    for (const [value, source] of candidates) {
+      if (typeof value === 'number') return { threshold: value, source };
+    }
+    return { threshold: this.confidenceThreshold, source: 'global' };
   }
 
   /**
    * Determine if human review is required
-   * Review is required if GenAI disagrees but confidence is below 80%
+   * Review is required if GenAI disagrees but confidence is below the threshold (80% unless the trait sets one),
+   * or if the response is missing or invalid
    */
-  requiresReview(genAiResponse, llmScore) {
-    if (!genAiResponse || genAiResponse.present === undefined) return false;
+  requiresReview(genAiResponse, llmScore, threshold = this.confidenceThreshold) {
+    const validation = responseValidator.validate(genAiResponse);
+    if (!validation.valid) return true;
 
-    const genAiScore = genAiResponse.present ? 1 : 0;
-    const confValue = typeof genAiResponse.confidence === 'number'
-      ? genAiResponse.confidence
-      : parseFloat(genAiResponse.confidence);
+    const { present, confidence } = validation.response;
+    const genAiScore = present ? 1 : 0;
 
     // If they disagree and confidence is low, it needs review
-    return (genAiScore !== llmScore && confValue < this.confidenceThreshold);
+    return (genAiScore !== llmScore && confidence < threshold);
   }
 
   /**
    * Determine the action based on LLM score and GenAI response
-   * Simplified Logic based on Client Table:
+   * Simplified Logic based on Client Table (threshold 80% unless the trait sets one):
    * - Agree: LLM Score == GenAI Score (Any confidence)
-   * - Disagree: LLM Score != GenAI Score (Confidence >= 80%)
-   * - Review: LLM Score != GenAI Score (Confidence < 80%)
+   * - Disagree: LLM Score != GenAI Score (Confidence >= threshold)
+   * - Review: LLM Score != GenAI Score (Confidence < threshold)
+   * - Invalid GenAI response: missing or malformed response, the LLM score stands pending review
    */
-  determineAction(llmScore, genAiResponse) {
-    if (!genAiResponse || genAiResponse.present === undefined) {
+  determineAction(llmScore, genAiResponse, threshold = this.confidenceThreshold) {
+    const validation = responseValidator.validate(genAiResponse);
+    if (!validation.valid) {
       return {
-        action: 'Agree',
+        action: INVALID_RESPONSE_ACTION,
         finalScore: llmScore,
-        reason: ''
+        reason: validation.errors.join('; ')
       };
     }
 
-    const { present, confidence, rationale } = genAiResponse;
+    const { present, confidence: confValue, rationale } = validation.response;
     const genAiScore = present ? 1 : 0;
-    const confValue = typeof confidence === 'number' ? confidence : parseFloat(confidence);
 
     // CASE 1: Agreement (Yes/Yes or No/No)
     if (llmScore === genAiScore) {
@@ -100,8 +439,8 @@ class GenAiService {
       };
     }
 
-    // CASE 2 & 3: Disagreement with High Confidence (>= 80%)
-    if (confValue >= this.confidenceThreshold) {
+    // CASE 2 & 3: Disagreement with High Confidence (>= threshold)
+    if (confValue >= threshold) {
       return {
         action: 'Disagree',
         finalScore: genAiScore, // Follow GenAI's recommendation
@@ -109,7 +448,7 @@ class GenAiService {
       };
     }
 
-    // CASE 4: Disagreement with Low Confidence (< 80%)
+    // CASE 4: Disagreement with Low Confidence (< threshold)
     return {
       action: 'Human review required',
       finalScore: llmScore, // Keep original score but flag for review
@@ -119,4 +458,3 @@ class GenAiService {
 }
 
 module.exports = new GenAiService();
-
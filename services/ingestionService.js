@@ -0,0 +1,132 @@
+// Sections a reaction row can carry text for
+const SECTIONS = ['initial_reaction', 'context_prompt'];
+const TEXT_FIELDS = ['hunch_id', 'concept_name', ...SECTIONS];
+
+// What to do when a re-submitted row's reaction text differs from the stored one
+const CHANGE_STRATEGIES = ['skip', 'replace', 'append'];
+
+// Keep stored reports bounded; the full per-row list is only returned in the response
+const MAX_STORED_ISSUES = 1000;
+
+/**
+ * Ingestion Service
+ * Validates submitted reaction rows one at a time and builds the ingestion report
+ */
+class IngestionService {
+  /**
+   * Validate a single row without touching the database
+   * @param {Object} item - Raw row from csv_data or an uploaded file
+   * @returns {Object} { status: 'accepted'|'skipped'|'error', reason, warnings, data }
+   */
+  validateRow(item) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return { status: 'error', reason: 'Row is not an object', warnings: [], data: null };
+    }
+
+    for (const field of TEXT_FIELDS) {
+      const value = item[field];
+      if (value !== undefined && value !== null && typeof value !== 'string' && typeof value !== 'number') {
+        return { status: 'error', reason: `${field} must be text`, warnings: [], data: null };
+      }
+    }
+
+    const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+    const data = {
+      hunch_id: text(item.hunch_id),
+      concept_name: text(item.concept_name),
+      initial_reaction: text(item.initial_reaction),
+      context_prompt: text(item.context_prompt)
+    };
+
+    const sections = SECTIONS.filter(section => data[section]);
+    if (sections.length === 0) {
+      return { status: 'skipped', reason: 'No initial_reaction or context_prompt text', warnings: [], data };
+    }
+
+    const warnings = [];
+    if (!data.hunch_id) warnings.push('hunch_id is missing');
+
+    return { status: 'accepted', reason: '', warnings, data, sections };
+  }
+
+  /**
+   * Filter identifying the stored document a row would duplicate
+   * Rows without a hunch_id can't be matched and are always ingested as new
+   * @returns {Object|null} Mongo filter, or null when the row has no key
+   */
+  rowKey(projectId, data) {
+    if (!data.hunch_id) return null;
+    return {
+      project_id: projectId,
+      hunch_id: data.hunch_id,
+      concept_name: data.concept_name,
+      is_latest: { $ne: false }
+    };
+  }
+
+  /**
+   * Sections whose reaction text differs between a stored document and a row
+   * A section the row leaves out isn't a change; the stored one is kept
+   */
+  changedSections(existing, data) {
+    return SECTIONS.filter(section => data[section] && ((existing[section] && existing[section].text) || '') !== data[section]);
+  }
+
+  createReport() {
+    return {
+      total: 0,
+      accepted: 0,
+      skipped: 0,
+      errors: 0,
+      sections: { initial_reaction: 0, context_prompt: 0 },
+      outcomes: { new: 0, unchanged: 0, updated: 0, ignored_change: 0, rescored: 0 },
+      rows: []
+    };
+  }
+
+  /**
+   * Record the outcome of one row on the report
+   * @param {Object} report - Report from createReport()
+   * @param {Object} result - { row, hunch_id, status, reason, warnings, outcome, documentId, sections }
+   */
+  addResult(report, result) {
+    report.total++;
+    if (result.status === 'accepted') {
+      report.accepted++;
+      if (result.outcome) {
+        report.outcomes[result.outcome]++;
+      }
+      for (const section of result.sections || []) {
+        report.sections[section]++;
+      }
+    } else if (result.status === 'skipped') {
+      report.skipped++;
+    } else {
+      report.errors++;
+    }
+    report.rows.push(result);
+  }
+
+  /**
+   * Compact form of the report stored on the run: counts plus the rows that need fixing
+   */
+  summarize(report) {
+    const issues = report.rows
+      .filter(row => row.status !== 'accepted' || (row.warnings && row.warnings.length > 0))
+      .slice(0, MAX_STORED_ISSUES)
+      .map(({ row, hunch_id, status, reason, warnings }) => ({ row, hunch_id, status, reason, warnings }));
+
+    return {
+      total_rows: report.total,
+      accepted: report.accepted,
+      skipped: report.skipped,
+      errors: report.errors,
+      sections: report.sections,
+      outcomes: report.outcomes,
+      issues
+    };
+  }
+}
+
+module.exports = new IngestionService();
+module.exports.CHANGE_STRATEGIES = CHANGE_STRATEGIES;
@@ -0,0 +1,37 @@
+const LocalClassifier = require('./classifiers/localClassifier');
+const traitCatalogService = require('./traitCatalogService');
+const exampleCurationService = require('./exampleCurationService');
+
+/**
+ * Local Prediction Service
+ * Offline stand-in for the ML trait function used by the local queue: each comment is scored
+ * with the local classifier's example overlap and reported in the ML callback's row shape
+ */
+class LocalPredictionService {
+  constructor() {
+    this.classifier = new LocalClassifier({
+      minSimilarity: Number(process.env.LOCAL_ML_MIN_SIMILARITY) || 0.2
+    });
+  }
+
+  /**
+   * @param {Object} payload - The trait-prediction task: { model_filename, data: [{ ID, comment }] }
+   * @returns {Promise<Object[]>} [{ ID, comment, commentPrediction }]
+   */
+  async predict({ model_filename, data }) {
+    const trait = await traitCatalogService.findByFileName(model_filename);
+    if (!trait) {
+      throw new Error(`Trait not found: ${model_filename}`);
+    }
+
+    const examples = exampleCurationService.structuredExamples(trait);
+    const rows = [];
+    for (const row of data) {
+      const answer = await this.classifier.classify({ text: row.comment, trait: trait.title, examples });
+      rows.push({ ID: row.ID, comment: row.comment, commentPrediction: answer.present ? 1 : 0 });
+    }
+    return rows;
+  }
+}
+
+module.exports = new LocalPredictionService();
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Concept = require('../models/Concept');
+
+/**
+ * Project Service
+ * Resolves the Project and Concept entities reactions reference, and the context text they carry
+ */
+class ProjectService {
+  isObjectId(id) {
+    return typeof id === 'string' && mongoose.Types.ObjectId.isValid(id) && /^[a-f0-9]{24}$/i.test(id);
+  }
+
+  /**
+   * Find the project a submission belongs to, creating it on first use
+   * Projects are keyed by the same id clients already send as project_id
+   * @param {string} projectId - Submitted project_id
+   * @param {string} projectInput - Free-text project description from the submission
+   * @returns {Promise<Object|null>} Project, or null when project_id isn't an ObjectId
+   */
+  async resolveProject(projectId, projectInput = '') {
+    if (!this.isObjectId(projectId)) return null;
+
+    const project = await Project.findOneAndUpdate(
+      { _id: projectId },
+      { $setOnInsert: { name: projectId, description: projectInput || '' } },
+      { upsert: true, new: true }
+    ).lean();
+
+    return this.adoptDescription(Project, project, projectInput);
+  }
+
+  /**
+   * Find or create the concept a row belongs to by name
+   * @param {Object} project - Resolved project
+   * @param {string} name - Row concept_name
+   * @param {string} conceptInput - Free-text concept description from the submission
+   * @param {Map} cache - Per-submission cache of name to concept
+   * @returns {Promise<Object|null>}
+   */
+  async resolveConcept(project, name, conceptInput = '', cache = new Map()) {
+    if (!project || !name) return null;
+    if (cache.has(name)) return cache.get(name);
+
+    let concept;
+    try {
+      concept = await Concept.findOneAndUpdate(
+        { project_id: project._id, name },
+        { $setOnInsert: { description: conceptInput || '' } },
+        { upsert: true, new: true }
+      ).lean();
+    } catch (error) {
+      // Two submissions created the same concept at once; the other one won
+      if (error.code !== 11000) throw error;
+      concept = await Concept.findOne({ project_id: project._id, name }).lean();
+    }
+
+    concept = await this.adoptDescription(Concept, concept, conceptInput);
+    cache.set(name, concept);
+    return concept;
+  }
+
+  /**
+   * Make a submitted description the entity's current one
+   * Reactions read their context from the entity, so a corrected description would otherwise be ignored
+   * @param {Model} Model - Project or Concept
+   * @param {Object} entity - Resolved project or concept
+   * @param {string} description - Submitted project_input or concept_input; empty keeps the stored one
+   * @returns {Promise<Object>} The entity with its current description
+   */
+  async adoptDescription(Model, entity, description) {
+    if (!entity || !description || entity.description === description) return entity;
+
+    await Model.updateOne({ _id: entity._id }, { $set: { description } });
+    console.log(`📝 ${Model.modelName} ${entity._id} description updated from submission`);
+    return { ...entity, description };
+  }
+
+  /**
+   * Context text for a reaction: entity descriptions win over the free text copied onto older documents
+   * and onto documents without a project or concept entity
+   * @param {Object} traitDoc - Trait document with project_id, concept_id, project_input, concept_input
+   * @returns {Promise<{ projectInput: string, conceptInput: string }>}
+   */
+  async contextInputs(traitDoc) {
+    const [project, concept] = await Promise.all([
+      this.isObjectId(traitDoc.project_id)
+        ? Project.findById(traitDoc.project_id).select('description').lean()
+        : null,
+      traitDoc.concept_id
+        ? Concept.findById(traitDoc.concept_id).select('description').lean()
+        : null
+    ]);
+
+    return {
+      projectInput: (project && project.description) || traitDoc.project_input || '',
+      conceptInput: (concept && concept.description) || traitDoc.concept_input || ''
+    };
+  }
+}
+
+module.exports = new ProjectService();
@@ -0,0 +1,100 @@
+const { CloudTasksClient } = require('@google-cloud/tasks');
+
+// Deployed endpoints, used when the environment doesn't name others
+const DEFAULT_ML_PREDICTION_URL = 'https://us-central1-hunch-ai.cloudfunctions.net/ml-trait-prediction-stage';
+const DEFAULT_GENAI_WORKER_URL = 'https://hunchgenaitest-320866101884.us-central1.run.app/genai-validation-worker';
+
+/**
+ * Queue names, URLs and OIDC audiences per target, from the environment
+ * The ML function has always been called without an OIDC token; set ML_PREDICTION_AUDIENCE to send one
+ */
+function configuredTargets(env = process.env) {
+  const genAiWorkerUrl = env.GENAI_WORKER_URL || DEFAULT_GENAI_WORKER_URL;
+  return {
+    'trait-prediction': {
+      queue: env.GCLOUD_QUEUE_TRAITS,
+      url: env.ML_PREDICTION_URL || DEFAULT_ML_PREDICTION_URL,
+      audience: env.ML_PREDICTION_AUDIENCE || null
+    },
+    'genai-validation': {
+      queue: env.GCLOUD_QUEUE_GENAI || 'genai-validation',
+      url: genAiWorkerUrl,
+      audience: env.GENAI_WORKER_AUDIENCE || new URL(genAiWorkerUrl).origin
+    }
+  };
+}
+
+/**
+ * Cloud Tasks Queue
+ * Each target is an HTTP endpoint behind its own Cloud Tasks queue
+ */
+class CloudTasksQueue {
+  constructor({
+    project = process.env.GCLOUD_PROJECT,
+    location = process.env.GCLOUD_LOCATION,
+    serviceAccountEmail = process.env.GCLOUD_SERVICE_ACCOUNT_EMAIL,
+    targets = configuredTargets()
+  } = {}) {
+    this.name = 'cloudtasks';
+    this.project = project;
+    this.location = location;
+    this.serviceAccountEmail = serviceAccountEmail;
+    this.targets = targets;
+    this.client = null;
+  }
+
+  // Created on first use so the local queue never needs Google credentials
+  getClient() {
+    if (!this.client) {
+      this.client = new CloudTasksClient();
+    }
+    return this.client;
+  }
+
+  /**
+   * @param {string} target - trait-prediction or genai-validation
+   * @param {Object} payload - JSON body the endpoint receives
+   * @returns {Promise<Object>} The created task
+   */
+  async enqueue(target, payload) {
+    const config = this.targets[target];
+    if (!config) {
+      throw new Error(`Unknown queue target "${target}"`);
+    }
+
+    const client = this.getClient();
+    const parent = client.queuePath(this.project, this.location, config.queue);
+
+    // body must be base64-encoded string
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64');
+
+    const task = {
+      httpRequest: {
+        httpMethod: 'POST',
+        url: config.url,
+        headers: {
+          'Content-Type': 'application/json' // required or Cloud Function will just run as string
+        },
+        body
+      }
+    };
+    if (config.audience) {
+      task.httpRequest.oidcToken = {
+        serviceAccountEmail: this.serviceAccountEmail,
+        audience: config.audience
+      };
+    }
+
+    const [response] = await client.createTask({ parent, task });
+    return response;
+  }
+
+  getStatus() {
+    return {
+      backend: this.name,
+      targets: Object.fromEntries(Object.entries(this.targets).map(([target, { queue, url }]) => [target, { queue, url }]))
+    };
+  }
+}
+
+module.exports = CloudTasksQueue;
@@ -0,0 +1,25 @@
+const CloudTasksQueue = require('./cloudTasksQueue');
+const LocalQueue = require('./localQueue');
+
+// A queue backend is any object with a name, async enqueue(target, payload) and getStatus().
+// Targets are trait-prediction (the ML function) and genai-validation (the GenAI worker);
+// backends that run tasks in process also implement register(target, handler, onFailure)
+const QUEUES = {
+  cloudtasks: CloudTasksQueue,
+  local: LocalQueue
+};
+
+/**
+ * Create the queue backend selected by name (TASK_QUEUE, default cloudtasks)
+ * @param {string} name - Key of QUEUES
+ * @param {Object} options - Passed to the backend constructor
+ */
+function createQueue(name = process.env.TASK_QUEUE || 'cloudtasks', options = {}) {
+  const Queue = QUEUES[String(name).toLowerCase()];
+  if (!Queue) {
+    throw new Error(`Unknown task queue "${name}", expected one of: ${Object.keys(QUEUES).join(', ')}`);
+  }
+  return new Queue(options);
+}
+
+module.exports = { createQueue, QUEUES };
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+/**
+ * Local Queue
+ * In-memory queue that runs tasks in this process through the handlers registered per target,
+ * so the whole process → prediction → validation loop runs on one machine. Tasks don't survive a restart
+ */
+class LocalQueue {
+  constructor({ concurrency = Number(process.env.LOCAL_QUEUE_CONCURRENCY) || 1 } = {}) {
+    this.name = 'local';
+    this.concurrency = concurrency;
+    this.handlers = new Map();
+    this.pending = [];
+    this.active = 0;
+
+    this.stats = {
+      enqueued: 0,
+      completed: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * @param {string} target - trait-prediction or genai-validation
+   * @param {Function} handler - async (payload) => void; a rejection counts the task as failed
+   * @param {Function} onFailure - async (payload, error) run after a rejection, since nothing redelivers the task
+   */
+  register(target, handler, onFailure = null) {
+    this.handlers.set(target, { handler, onFailure });
+    this.drain();
+  }
+
+  async enqueue(target, payload) {
+    // Serialized like a real queue would, so later changes to the caller's objects don't leak in
+    const task = {
+      id: crypto.randomUUID(),
+      target,
+      payload: JSON.parse(JSON.stringify(payload))
+    };
+    this.pending.push(task);
+    this.stats.enqueued++;
+
+    setImmediate(() => this.drain());
+    return { name: `local/${target}/${task.id}` };
+  }
+
+  // Start tasks up to the concurrency limit; tasks for targets without a handler wait for one
+  drain() {
+    while (this.active < this.concurrency) {
+      const index = this.pending.findIndex(task => this.handlers.has(task.target));
+      if (index === -1) return;
+
+      const [task] = this.pending.splice(index, 1);
+      const { handler, onFailure } = this.handlers.get(task.target);
+      this.active++;
+
+      Promise.resolve()
+        .then(() => handler(task.payload))
+        .then(() => {
+          this.stats.completed++;
+        })
+        .catch(async (error) => {
+          this.stats.failed++;
+          console.error(`❌ Local ${task.target} task ${task.id} failed:`, error);
+          if (onFailure) {
+            await Promise.resolve()
+              .then(() => onFailure(task.payload, error))
+              .catch(failureError => console.error(`❌ Local ${task.target} task ${task.id} failure handling failed:`, failureError));
+          }
+        })
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+
+  getStatus() {
+    return {
+      backend: this.name,
+      concurrency: this.concurrency,
+      pending: this.pending.length,
+      active: this.active,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = LocalQueue;
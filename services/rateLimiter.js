@@ -0,0 +1,224 @@
+const os = require('os');
+const crypto = require('crypto');
+const { GenAiSlot, GenAiRateWindow } = require('../models/GenAiLimiter');
+
+const WINDOW_MS = 60000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Rate Limiter
+ * Concurrency limit and requests-per-minute budget shared by every worker through Mongo.
+ * Callers poll until they get both a slot and room in the current minute; waiting is per instance,
+ * so queue depth and wait times describe this worker
+ */
+class RateLimiter {
+  constructor({
+    name = 'classify',
+    maxConcurrency = 10,
+    requestsPerMinute = 0,
+    leaseMs = 360000,
+    pollMs = 500,
+    maxWaitMs = 600000
+  } = {}) {
+    this.name = name;
+    this.maxConcurrency = maxConcurrency; // 0 disables the concurrency limit
+    this.requestsPerMinute = requestsPerMinute; // 0 disables the budget
+    this.leaseMs = leaseMs;
+    this.pollMs = pollMs;
+    this.maxWaitMs = maxWaitMs;
+    this.instance = `${os.hostname()}:${process.pid}`;
+    this.slotsReady = null;
+
+    this.stats = {
+      waiting: 0,
+      maxWaiting: 0,
+      acquired: 0,
+      timedOut: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0,
+      lastWaitMs: 0
+    };
+  }
+
+  get enabled() {
+    return this.maxConcurrency > 0 || this.requestsPerMinute > 0;
+  }
+
+  // Create the slot documents once; slots above a lowered limit are simply never used
+  ensureSlots() {
+    if (!this.slotsReady) {
+      const operations = Array.from({ length: this.maxConcurrency }, (_, slot) => ({
+        updateOne: {
+          filter: { name: this.name, slot },
+          update: { $setOnInsert: { holder: null } },
+          upsert: true
+        }
+      }));
+      this.slotsReady = GenAiSlot.bulkWrite(operations, { ordered: false }).catch((error) => {
+        this.slotsReady = null;
+        throw error;
+      });
+    }
+    return this.slotsReady;
+  }
+
+  /**
+   * Take a free or expired slot
+   * @returns {Promise<Object|null>} Lease, or null when every slot is busy
+   */
+  async tryAcquireSlot() {
+    await this.ensureSlots();
+    const now = new Date();
+    const holder = crypto.randomUUID();
+
+    const slot = await GenAiSlot.findOneAndUpdate(
+      {
+        name: this.name,
+        slot: { $lt: this.maxConcurrency },
+        $or: [{ holder: null }, { expires_at: { $lt: now } }]
+      },
+      {
+        $set: {
+          holder,
+          instance: this.instance,
+          acquired_at: now,
+          expires_at: new Date(now.getTime() + this.leaseMs)
+        }
+      },
+      { new: true }
+    ).lean();
+
+    return slot ? { slotId: slot._id, holder } : null;
+  }
+
+  /**
+   * Count one call against the current minute
+   * @returns {Promise<number>} 0 when counted, otherwise ms until the next window
+   */
+  async tryConsumeBudget() {
+    const now = Date.now();
+    const window = now - (now % WINDOW_MS);
+
+    try {
+      // The filter only matches while there's room; a full window makes the upsert collide
+      const counted = await GenAiRateWindow.findOneAndUpdate(
+        { name: this.name, window, count: { $lt: this.requestsPerMinute } },
+        { $inc: { count: 1 }, $setOnInsert: { expires_at: new Date(window + WINDOW_MS * 10) } },
+        { upsert: true, new: true }
+      ).lean();
+      if (counted) return 0;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+    return window + WINDOW_MS - now;
+  }
+
+  async releaseSlot(lease) {
+    if (!lease || !lease.slotId) return;
+    await GenAiSlot.updateOne(
+      { _id: lease.slotId, holder: lease.holder },
+      { $set: { holder: null, instance: null, expires_at: null } }
+    );
+  }
+
+  /**
+   * Wait for a slot and room in the current minute; pass the lease to releaseSlot when the call ends
+   * Throws an ELIMITERTIMEOUT error when the wait exceeds maxWaitMs
+   * @returns {Promise<Object|null>} Lease, null when there's no concurrency limit
+   */
+  async acquire() {
+    if (!this.enabled) return null;
+
+    const startedAt = Date.now();
+    this.stats.waiting++;
+    this.stats.maxWaiting = Math.max(this.stats.maxWaiting, this.stats.waiting);
+
+    let lease = null;
+    try {
+      while (true) {
+        if (this.maxConcurrency > 0 && !lease) {
+          lease = await this.tryAcquireSlot();
+        }
+
+        if (lease || this.maxConcurrency === 0) {
+          const budgetWaitMs = this.requestsPerMinute > 0 ? await this.tryConsumeBudget() : 0;
+          if (budgetWaitMs === 0) break;
+
+          // Don't sit on a slot while waiting for the next minute
+          await this.releaseSlot(lease);
+          lease = null;
+          await this.pause(startedAt, budgetWaitMs);
+          continue;
+        }
+
+        await this.pause(startedAt, this.pollMs);
+      }
+    } catch (error) {
+      await this.releaseSlot(lease).catch(() => {});
+      throw error;
+    } finally {
+      this.stats.waiting--;
+    }
+
+    const waitedMs = Date.now() - startedAt;
+    this.stats.acquired++;
+    this.stats.totalWaitMs += waitedMs;
+    this.stats.lastWaitMs = waitedMs;
+    this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitedMs);
+    return lease;
+  }
+
+  // Sleep with jitter so waiting workers don't poll in lockstep, failing once the wait is too long
+  async pause(startedAt, ms) {
+    const remaining = this.maxWaitMs - (Date.now() - startedAt);
+    if (remaining <= 0) {
+      this.stats.timedOut++;
+      const error = new Error(`GenAI limiter wait exceeded ${this.maxWaitMs}ms`);
+      error.code = 'ELIMITERTIMEOUT';
+      throw error;
+    }
+    await sleep(Math.min(remaining, ms + Math.floor(Math.random() * this.pollMs)));
+  }
+
+  /**
+   * Limits, this instance's queue and the shared usage
+   */
+  async getStatus() {
+    const now = Date.now();
+    const [activeSlots, windowDoc] = await Promise.all([
+      this.maxConcurrency > 0
+        ? GenAiSlot.countDocuments({
+          name: this.name,
+          slot: { $lt: this.maxConcurrency },
+          holder: { $ne: null },
+          expires_at: { $gt: new Date(now) }
+        })
+        : null,
+      this.requestsPerMinute > 0
+        ? GenAiRateWindow.findOne({ name: this.name, window: now - (now % WINDOW_MS) }).lean()
+        : null
+    ]);
+
+    return {
+      maxConcurrency: this.maxConcurrency,
+      requestsPerMinute: this.requestsPerMinute,
+      shared: {
+        activeCalls: activeSlots,
+        callsThisMinute: this.requestsPerMinute > 0 ? (windowDoc ? windowDoc.count : 0) : null
+      },
+      instance: {
+        id: this.instance,
+        queueDepth: this.stats.waiting,
+        maxQueueDepth: this.stats.maxWaiting,
+        acquired: this.stats.acquired,
+        timedOut: this.stats.timedOut,
+        avgWaitMs: this.stats.acquired > 0 ? Math.round(this.stats.totalWaitMs / this.stats.acquired) : 0,
+        maxWaitMs: this.stats.maxWaitMs,
+        lastWaitMs: this.stats.lastWaitMs
+      }
+    };
+  }
+}
+
+module.exports = RateLimiter;
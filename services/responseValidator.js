@@ -0,0 +1,93 @@
+// Raw responses kept on records and failures are capped so a misbehaving classifier can't bloat documents
+const MAX_RAW_LENGTH = 2000;
+
+/**
+ * Response Validator
+ * Checks classifier answers against { present: boolean, confidence: 0-1, rationale: string, score }
+ * and normalizes the unambiguous variants seen in practice ("true", 85 for 85%); a fractional value
+ * above 1 such as 1.5 is neither a probability nor a percentage and is rejected
+ */
+class ResponseValidator {
+  /**
+   * @param {*} raw - Classifier answer for one trait
+   * @returns {{ valid: true, response: Object, normalized: string[] }|{ valid: false, errors: string[] }}
+   */
+  validate(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { valid: false, errors: ['response must be an object'] };
+    }
+
+    const errors = [];
+    const normalized = [];
+
+    let present = raw.present;
+    if (typeof present === 'string' && ['true', 'false'].includes(present.trim().toLowerCase())) {
+      present = present.trim().toLowerCase() === 'true';
+      normalized.push('present parsed from string');
+    } else if (present === 0 || present === 1) {
+      present = present === 1;
+      normalized.push('present parsed from number');
+    }
+    if (typeof present !== 'boolean') {
+      errors.push(`present must be a boolean, got ${JSON.stringify(raw.present)}`);
+    }
+
+    let confidence = raw.confidence;
+    if (typeof confidence === 'string' && confidence.trim() !== '' && !isNaN(Number(confidence))) {
+      confidence = Number(confidence);
+      normalized.push('confidence parsed from string');
+    }
+    if (typeof confidence !== 'number' || !Number.isFinite(confidence)) {
+      errors.push(`confidence must be a number, got ${JSON.stringify(raw.confidence)}`);
+    } else if (confidence > 1 && confidence <= 100 && Number.isInteger(confidence)) {
+      confidence = confidence / 100;
+      normalized.push('confidence converted from percent');
+    } else if (confidence < 0 || confidence > 1) {
+      errors.push(`confidence must be between 0 and 1, got ${raw.confidence}`);
+    }
+
+    let rationale = raw.rationale;
+    if (rationale === undefined || rationale === null) {
+      rationale = '';
+    } else if (typeof rationale !== 'string') {
+      errors.push('rationale must be a string');
+    }
+
+    // score is optional and passed through, but it has to be numeric when sent
+    let score = raw.score;
+    if (score === undefined || score === null) {
+      score = undefined;
+    } else if (!Number.isFinite(Number(score)) || (typeof score !== 'number' && typeof score !== 'string')) {
+      errors.push(`score must be a number, got ${JSON.stringify(raw.score)}`);
+    } else {
+      score = Number(score);
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+
+    return {
+      valid: true,
+      response: { present, confidence, rationale, score },
+      normalized
+    };
+  }
+
+  /**
+   * The raw answer as stored for troubleshooting: always its JSON text, truncated when large
+   * @returns {string|null} null when there was no answer at all
+   */
+  capture(raw) {
+    let json;
+    try {
+      json = JSON.stringify(raw);
+    } catch (error) {
+      json = String(raw);
+    }
+    if (json === undefined) return null;
+    return json.length > MAX_RAW_LENGTH ? `${json.slice(0, MAX_RAW_LENGTH)}…` : json;
+  }
+}
+
+module.exports = new ResponseValidator();
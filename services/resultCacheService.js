@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const GenAiCacheEntry = require('../models/GenAiCacheEntry');
+
+/**
+ * Result Cache Service
+ * Reuses classify responses for requests identical to one already answered, e.g. the same
+ * stock reaction in many rows or an unchanged reaction re-run under the same trait version
+ */
+class ResultCacheService {
+  constructor() {
+    // 0 turns the cache off
+    this.ttlMs = (process.env.GENAI_CACHE_TTL_HOURS !== undefined ? Number(process.env.GENAI_CACHE_TTL_HOURS) : 168) * 3600000;
+    this.stats = { hits: 0, misses: 0, writes: 0, errors: 0 };
+  }
+
+  get enabled() {
+    return this.ttlMs > 0;
+  }
+
+  /**
+   * Cache key for a classify payload; whitespace differences in the reaction don't matter
+   * @param {Object} payload - Classify payload, see GenAiService.classify
+   * @param {Object} provider - Classifier provider; its name and cacheScope (endpoint, model) keep
+   *   answers from different classifiers apart
+   */
+  key(payload, provider) {
+    const parts = [
+      provider.name,
+      provider.cacheScope || '',
+      String(payload.text || '').trim().replace(/\s+/g, ' '),
+      payload.trait,
+      payload.trait_definition || '',
+      payload.trait_examples || '',
+      payload.examples || null,
+      payload.version,
+      payload.project_input || '',
+      payload.concept_input || ''
+    ];
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Cached response, or null on a miss or when the lookup fails
+   */
+  async get(key) {
+    try {
+      const entry = await GenAiCacheEntry.findOneAndUpdate(
+        { key, expires_at: { $gt: new Date() } },
+        { $inc: { hits: 1 }, $set: { last_hit_at: new Date() } },
+        { new: true }
+      ).lean();
+
+      if (!entry) {
+        this.stats.misses++;
+        return null;
+      }
+      this.stats.hits++;
+      return entry.response;
+    } catch (error) {
+      // A cache that can't be read just means classifying again
+      this.stats.errors++;
+      console.error('GenAI cache lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  async set(key, response, { provider, traitTitle }) {
+    try {
+      await GenAiCacheEntry.updateOne(
+        { key },
+        {
+          $set: {
+            provider,
+            trait_title: traitTitle,
+            response: {
+              present: response.present,
+              confidence: response.confidence,
+              rationale: response.rationale,
+              score: response.score
+            },
+            expires_at: new Date(Date.now() + this.ttlMs)
+          }
+        },
+        { upsert: true }
+      );
+      this.stats.writes++;
+    } catch (error) {
+      this.stats.errors++;
+      console.error('GenAI cache write failed:', error.message);
+    }
+  }
+
+  getStatus() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      ttlHours: this.ttlMs / 3600000,
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0
+    };
+  }
+}
+
+module.exports = new ResultCacheService();
@@ -0,0 +1,181 @@
+const { Readable, PassThrough, pipeline } = require('stream');
+const { parse } = require('csv-parse');
+const ExcelJS = require('exceljs');
+
+// Fields a reaction row can be mapped to
+const REACTION_FIELDS = ['hunch_id', 'concept_name', 'initial_reaction', 'context_prompt'];
+
+const XLSX_MIMETYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Spreadsheet Service
+ * Streams rows out of uploaded CSV/XLSX files and maps their columns to reaction fields
+ */
+class SpreadsheetService {
+  /**
+   * Detect the file format from its extension, or its mimetype when the name has none
+   * Browsers send application/vnd.ms-excel for both .csv and legacy .xls files, so it decides nothing
+   * @param {string} filename - Original upload file name
+   * @param {string} mimetype - Upload mimetype
+   * @returns {'csv'|'xlsx'|'xls'|null} xls is recognized so it can be rejected; null when unknown
+   */
+  detectFormat(filename = '', mimetype = '') {
+    const match = /\.([a-z0-9]+)$/.exec(String(filename).toLowerCase());
+    if (match) {
+      return ['csv', 'xlsx', 'xls'].includes(match[1]) ? match[1] : null;
+    }
+    if (mimetype === XLSX_MIMETYPE) return 'xlsx';
+    if (mimetype === 'text/csv') return 'csv';
+    return null;
+  }
+
+  /**
+   * Parse the column mapping sent with an upload
+   * Maps a reaction field to the spreadsheet header holding it, e.g. { "initial_reaction": "Q1 Response" }
+   * @param {string|Object} columnMap - JSON string or object
+   * @returns {Object} Mapping of reaction field to header
+   */
+  parseColumnMap(columnMap) {
+    if (!columnMap) return {};
+
+    const map = typeof columnMap === 'string' ? JSON.parse(columnMap) : columnMap;
+    if (typeof map !== 'object' || Array.isArray(map)) {
+      throw new Error('column_map must be an object of field to column header');
+    }
+
+    for (const field of Object.keys(map)) {
+      if (!REACTION_FIELDS.includes(field)) {
+        throw new Error(`Unknown column_map field: ${field}. Allowed: ${REACTION_FIELDS.join(', ')}`);
+      }
+    }
+    return map;
+  }
+
+  /**
+   * Resolve which header index feeds each reaction field
+   * Unmapped fields fall back to a header with the same name (case-insensitive)
+   */
+  resolveColumns(headers, columnMap = {}) {
+    const normalized = headers.map(h => String(h ?? '').trim().toLowerCase());
+    const columns = {};
+
+    for (const field of REACTION_FIELDS) {
+      const header = (columnMap[field] || field).trim().toLowerCase();
+      const index = normalized.indexOf(header);
+      if (index !== -1) {
+        columns[field] = index;
+      } else if (columnMap[field]) {
+        throw new Error(`Column "${columnMap[field]}" mapped to ${field} not found in file`);
+      }
+    }
+    return columns;
+  }
+
+  mapRow(values, columns) {
+    const row = {};
+    for (const [field, index] of Object.entries(columns)) {
+      const value = values[index];
+      row[field] = value === undefined || value === null ? '' : String(value);
+    }
+    return row;
+  }
+
+  /**
+   * Stream mapped rows out of an uploaded file
+   * Errors reading or parsing the file are flagged invalidFile, so callers can tell them from their own
+   * @param {Buffer|Readable} input - File contents, or the upload stream as it arrives
+   * @param {Object} options - { format, columnMap }
+   * @returns {AsyncGenerator<Object>} Rows keyed by reaction field
+   */
+  async *readRows(input, { format, columnMap = {} }) {
+    const source = Buffer.isBuffer(input) ? Readable.from(input) : input;
+    try {
+      if (format === 'csv') {
+        yield* this.readCsvRows(source, columnMap);
+      } else if (format === 'xlsx') {
+        yield* this.readXlsxRows(source, columnMap);
+      } else {
+        throw new Error(`Unsupported file format: ${format}`);
+      }
+    } catch (error) {
+      error.invalidFile = true;
+      throw error;
+    }
+  }
+
+  async *readCsvRows(source, columnMap) {
+    const parser = parse({
+      bom: true,
+      relax_column_count: true,
+      skip_empty_lines: true
+    });
+    // pipeline rather than pipe, so a failing source fails the parser instead of leaving it waiting
+    pipeline(source, parser, () => {});
+
+    let columns = null;
+    for await (const record of parser) {
+      if (!columns) {
+        columns = this.resolveColumns(record, columnMap);
+        continue;
+      }
+      yield this.mapRow(record, columns);
+    }
+  }
+
+  async *readXlsxRows(source, columnMap) {
+    // The reader pipes its input, which drops errors, and waits forever on a cut-off archive;
+    // stop reading as soon as the source fails instead
+    let failSource;
+    const sourceFailed = new Promise((resolve, reject) => {
+      failSource = reject;
+    });
+    sourceFailed.catch(() => {});
+    source.on('error', error => failSource(error));
+
+    const input = new PassThrough();
+    source.pipe(input);
+
+    const rows = this.readFirstWorksheet(input, columnMap);
+    while (true) {
+      const { value, done } = await Promise.race([rows.next(), sourceFailed]);
+      if (done) return;
+      yield value;
+    }
+  }
+
+  async *readFirstWorksheet(input, columnMap) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookReader(input, {
+      sharedStrings: 'cache',
+      hyperlinks: 'ignore',
+      styles: 'ignore',
+      worksheets: 'emit'
+    });
+
+    // Only the first worksheet holds reactions
+    for await (const worksheet of workbook) {
+      let columns = null;
+      for await (const row of worksheet) {
+        // row.values is 1-based
+        const values = row.values.slice(1).map(cell => this.cellText(cell));
+        if (!columns) {
+          columns = this.resolveColumns(values, columnMap);
+          continue;
+        }
+        yield this.mapRow(values, columns);
+      }
+      break;
+    }
+  }
+
+  cellText(cell) {
+    if (cell === undefined || cell === null) return '';
+    if (typeof cell !== 'object') return cell;
+    if (cell.richText) return cell.richText.map(part => part.text).join('');
+    if (cell.text !== undefined) return cell.text;
+    if (cell.result !== undefined) return cell.result;
+    return String(cell);
+  }
+}
+
+module.exports = new SpreadsheetService();
+module.exports.REACTION_FIELDS = REACTION_FIELDS;
@@ -0,0 +1,49 @@
+const { createQueue } = require('./queues');
+
+/**
+ * Task Queue Service
+ * The backend ML prediction and GenAI validation tasks are queued through
+ */
+class TaskQueueService {
+  constructor() {
+    // TASK_QUEUE=local runs every task in this process, e.g. on a laptop without Cloud Tasks
+    this.backend = createQueue();
+    this.handlers = new Map();
+  }
+
+  /**
+   * Swap the backend at runtime; registered handlers move over to it
+   * @param {string|Object} backend - Backend name or an object implementing enqueue(target, payload)
+   */
+  setBackend(backend) {
+    this.backend = typeof backend === 'string' ? createQueue(backend) : backend;
+    for (const [target, registration] of this.handlers) {
+      this.attach(target, registration);
+    }
+  }
+
+  /**
+   * Handler an in-process backend runs a target's tasks with; Cloud Tasks delivers over HTTP instead
+   * @param {Function} onFailure - Optional async (payload, error) settling a task whose handler failed
+   */
+  register(target, handler, onFailure = null) {
+    this.handlers.set(target, { handler, onFailure });
+    this.attach(target, { handler, onFailure });
+  }
+
+  attach(target, { handler, onFailure }) {
+    if (typeof this.backend.register === 'function') {
+      this.backend.register(target, handler, onFailure);
+    }
+  }
+
+  enqueue(target, payload) {
+    return this.backend.enqueue(target, payload);
+  }
+
+  getStatus() {
+    return this.backend.getStatus();
+  }
+}
+
+module.exports = new TaskQueueService();
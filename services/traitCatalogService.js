@@ -0,0 +1,398 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const TraitDefinition = require('../models/TraitDefinition');
+const TraitDefinitionVersion = require('../models/TraitDefinitionVersion');
+const TraitSet = require('../models/TraitSet');
+const Trait = require('../models/Trait');
+const { traits: seedTraits } = require('../traits');
+
+// Fields the catalog routes may set
+const EDITABLE_FIELDS = [
+  'title',
+  'gcsFileName',
+  'contextPromptEnabled',
+  'initialReactionEnabled',
+  'expandedView',
+  'hideThemeTag',
+  'color',
+  'description',
+  'traitType',
+  'parentTraits',
+  'trait_definition',
+  'trait_examples',
+  'confidence_thresholds'
+];
+
+// Fields captured in each immutable version snapshot
+const VERSIONED_FIELDS = [
+  'title',
+  'gcsFileName',
+  'contextPromptEnabled',
+  'initialReactionEnabled',
+  'traitType',
+  'parentTraits',
+  'trait_definition',
+  'trait_examples',
+  'curated_examples',
+  'confidence_thresholds'
+];
+
+/**
+ * Trait Catalog Service
+ * Reads trait definitions from MongoDB with a short-lived in-memory cache
+ */
+class TraitCatalogService {
+  constructor() {
+    // Every instance refreshes within this window after an edit made elsewhere
+    this.cacheTtlMs = Number(process.env.TRAIT_CACHE_TTL_MS) || 60000;
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Insert traits from traits.js that aren't in the collection yet
+   * Existing definitions are never overwritten, so edits made through the API survive restarts
+   * @returns {Promise<number>} Number of traits inserted
+   */
+  async seed() {
+    const operations = seedTraits.map(({ __v, ...trait }) => ({
+      updateOne: {
+        filter: { _id: trait._id },
+        update: { $setOnInsert: trait },
+        upsert: true
+      }
+    }));
+
+    const result = await TraitDefinition.bulkWrite(operations, { ordered: false });
+    this.invalidate();
+
+    if (result.upsertedCount > 0) {
+      console.log(`🌱 Seeded ${result.upsertedCount} trait definition(s) from traits.js`);
+    }
+
+    await this.ensureVersions();
+    return result.upsertedCount;
+  }
+
+  /**
+   * Snapshot the current version of any trait that has none yet (seeded or pre-versioning traits)
+   * Traits stored before versioning get version 1, the version their first snapshot records
+   */
+  async ensureVersions() {
+    const backfilled = await TraitDefinition.updateMany({ version: null }, { $set: { version: 1 } });
+    if (backfilled.modifiedCount > 0) {
+      this.invalidate();
+    }
+
+    const [definitions, versioned] = await Promise.all([
+      TraitDefinition.find().lean(),
+      TraitDefinitionVersion.distinct('trait_id')
+    ]);
+    const versionedIds = new Set(versioned.map(id => id.toString()));
+
+    for (const trait of definitions) {
+      if (!versionedIds.has(trait._id.toString())) {
+        await this.snapshot(trait, []);
+      }
+    }
+  }
+
+  /**
+   * Stable hash of a trait's examples, stamped on GenAI records next to the version
+   * Traits without curated examples hash exactly as before curation existed
+   */
+  examplesHash(examples, curated = []) {
+    const normalized = Array.isArray(examples)
+      ? examples.map(example => String(example).trim())
+      : String(examples || '').trim();
+    const payload = curated && curated.length > 0
+      ? [normalized, curated.map(example => [example.label, String(example.text).trim()])]
+      : normalized;
+    return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+  }
+
+  async snapshot(trait, changedFields) {
+    const snapshot = {
+      trait_id: trait._id,
+      version: trait.version || 1,
+      examples_hash: this.examplesHash(trait.trait_examples, trait.curated_examples),
+      changed_fields: changedFields
+    };
+    for (const field of VERSIONED_FIELDS) {
+      snapshot[field] = trait[field];
+    }
+
+    try {
+      return (await TraitDefinitionVersion.create(snapshot)).toObject();
+    } catch (error) {
+      // Another instance already wrote this version
+      if (error.code !== 11000) throw error;
+      return TraitDefinitionVersion.findOne({ trait_id: trait._id, version: snapshot.version }).lean();
+    }
+  }
+
+  invalidate() {
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * All trait definitions, including disabled ones
+   * @returns {Promise<Object[]>}
+   */
+  async getAll() {
+    if (this.cache && Date.now() - this.cachedAt < this.cacheTtlMs) {
+      return this.cache;
+    }
+
+    this.cache = await TraitDefinition.find().sort({ createdAt: 1, _id: 1 }).lean();
+    this.cachedAt = Date.now();
+    return this.cache;
+  }
+
+  /**
+   * Traits that are not disabled
+   */
+  async getActive() {
+    const all = await this.getAll();
+    return all.filter(trait => !trait.disabled);
+  }
+
+  /**
+   * Look up the trait a prediction belongs to; disabled traits still resolve so queued work can finish
+   */
+  async findByFileName(gcsFileName) {
+    const all = await this.getAll();
+    return all.find(trait => trait.gcsFileName === gcsFileName) || null;
+  }
+
+  /**
+   * Check trait titles or ids against the catalog
+   * @param {string[]} requested - Titles or ids
+   * @returns {Promise<{ error: string }|{ titles: string[] }>}
+   */
+  async validateSelection(requested) {
+    if (!Array.isArray(requested) || requested.length === 0) {
+      return { error: 'traits must be a non-empty list of trait titles or ids' };
+    }
+
+    const all = await this.getAll();
+    const titles = [];
+    const unknown = [];
+    const unusable = [];
+
+    for (const value of requested) {
+      const key = String(value).trim();
+      const trait = all.find(t => t.title === key || t._id.toString() === key);
+      if (!trait) {
+        unknown.push(key);
+      } else if (trait.disabled || !trait.gcsFileName) {
+        unusable.push(trait.title);
+      } else if (!titles.includes(trait.title)) {
+        titles.push(trait.title);
+      }
+    }
+
+    if (unknown.length > 0) {
+      return { error: `Unknown trait(s): ${unknown.join(', ')}` };
+    }
+    if (unusable.length > 0) {
+      return { error: `Trait(s) disabled or without a model file: ${unusable.join(', ')}` };
+    }
+    return { titles };
+  }
+
+  /**
+   * Resolve the traits a batch should run: an explicit list, a named trait set, or everything (null)
+   * @param {Object} selection - { traits, traitSet }
+   * @returns {Promise<{ error: string }|{ titles: string[]|null, traitSetName: string }>}
+   */
+  async resolveSelection({ traits, traitSet }) {
+    if (traits !== undefined && traits !== null && traitSet) {
+      return { error: 'Send either traits or trait_set, not both' };
+    }
+
+    if (traitSet) {
+      const set = await TraitSet.findOne({ name: traitSet }).lean();
+      if (!set) {
+        return { error: `Trait set not found: ${traitSet}` };
+      }
+      const selection = await this.validateSelection(set.traits);
+      if (selection.error) {
+        return { error: `Trait set ${set.name}: ${selection.error}` };
+      }
+      return { titles: selection.titles, traitSetName: set.name };
+    }
+
+    if (traits !== undefined && traits !== null) {
+      const selection = await this.validateSelection(traits);
+      if (selection.error) return selection;
+      return { titles: selection.titles, traitSetName: '' };
+    }
+
+    return { titles: null, traitSetName: '' };
+  }
+
+  pickEditable(body) {
+    const update = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (body[field] !== undefined) {
+        update[field] = body[field];
+      }
+    }
+    return update;
+  }
+
+  async create(body) {
+    const trait = (await TraitDefinition.create(this.pickEditable(body))).toObject();
+    await this.snapshot(trait, []);
+    this.invalidate();
+    return trait;
+  }
+
+  /**
+   * Apply an edit and record it as a new immutable version
+   * Edits that change nothing don't bump the version
+   */
+  async update(id, body) {
+    return this.applyUpdate(id, this.pickEditable(body));
+  }
+
+  /**
+   * Read a trait straight from Mongo, bypassing the cache, before a read-modify-write
+   */
+  async getById(id) {
+    return TraitDefinition.findById(id).lean();
+  }
+
+  /**
+   * Versioned update of already-whitelisted fields, shared with the example curation routes
+   * @param {number} expectedVersion - Version the update was computed from; a newer one is a conflict
+   */
+  async applyUpdate(id, update, expectedVersion = null) {
+    const current = await TraitDefinition.findById(id).lean();
+    if (!current) return null;
+    if (expectedVersion !== null && (current.version || 1) !== expectedVersion) {
+      const error = new Error('Trait was modified concurrently, please retry');
+      error.status = 409;
+      throw error;
+    }
+
+    const changedFields = Object.keys(update)
+      .filter(field => JSON.stringify(update[field]) !== JSON.stringify(current[field]));
+    if (changedFields.length === 0) return current;
+
+    // Matching on the version we read makes concurrent edits fail instead of sharing a version number;
+    // a trait stored before versioning has no version field, which null matches
+    const trait = await TraitDefinition.findOneAndUpdate(
+      { _id: id, version: current.version || null },
+      { $set: { ...update, version: (current.version || 1) + 1 } },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!trait) {
+      const error = new Error('Trait was modified concurrently, please retry');
+      error.status = 409;
+      throw error;
+    }
+
+    await this.snapshot(trait, changedFields.filter(field => VERSIONED_FIELDS.includes(field)));
+    this.invalidate();
+    return trait;
+  }
+
+  async getVersions(traitId) {
+    return TraitDefinitionVersion.find({ trait_id: traitId }).sort({ version: -1 }).lean();
+  }
+
+  async getVersion(traitId, version) {
+    return TraitDefinitionVersion.findOne({ trait_id: traitId, version }).lean();
+  }
+
+  /**
+   * Field-level differences between two version snapshots
+   */
+  diffVersions(from, to) {
+    const changes = [];
+    for (const field of [...VERSIONED_FIELDS, 'examples_hash']) {
+      if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) {
+        changes.push({ field, from: from[field], to: to[field] });
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * GenAI records produced under one version of a trait, across both sections
+   * @returns {Promise<{ count: number, records: Object[] }>}
+   */
+  async recordsForVersion(traitId, version, limit = 100) {
+    // Aggregation pipelines aren't cast by mongoose
+    traitId = new mongoose.Types.ObjectId(String(traitId));
+    version = Number(version);
+
+    const results = await Promise.all(['initial_reaction', 'context_prompt'].map(async (section) => {
+      const recordPath = `${section}.genAiRecords`;
+      const match = {
+        [`${recordPath}.traitId`]: traitId,
+        [`${recordPath}.definitionVersion`]: version
+      };
+
+      const [records, [counted] = []] = await Promise.all([
+        Trait.aggregate([
+          { $match: { [recordPath]: { $elemMatch: { traitId, definitionVersion: version } } } },
+          { $unwind: `$${recordPath}` },
+          { $match: match },
+          { $sort: { [`${recordPath}.timestamp`]: -1 } },
+          { $limit: limit },
+          {
+            $project: {
+              _id: 0,
+              documentId: '$_id',
+              hunch_id: 1,
+              text: `$${section}.text`,
+              record: `$${recordPath}`
+            }
+          }
+        ]),
+        Trait.aggregate([
+          { $match: { [recordPath]: { $elemMatch: { traitId, definitionVersion: version } } } },
+          { $unwind: `$${recordPath}` },
+          { $match: match },
+          { $count: 'count' }
+        ])
+      ]);
+
+      const type = section === 'initial_reaction' ? 'INITIAL_REACTION' : 'CONTEXT_PROMPT';
+      return {
+        count: counted ? counted.count : 0,
+        records: records.map(({ record, ...rest }) => ({
+          ...rest,
+          type,
+          llmScore: record.llmScore,
+          finalScore: record.finalScore,
+          action: record.action,
+          genAiSays: record.genAiSays,
+          examplesHash: record.examplesHash,
+          timestamp: record.timestamp
+        }))
+      };
+    }));
+
+    return {
+      count: results.reduce((sum, result) => sum + result.count, 0),
+      records: results.flatMap(result => result.records).slice(0, limit)
+    };
+  }
+
+  async setDisabled(id, disabled) {
+    const trait = await TraitDefinition.findByIdAndUpdate(
+      id,
+      { $set: { disabled } },
+      { new: true }
+    ).lean();
+    this.invalidate();
+    return trait;
+  }
+}
+
+module.exports = new TraitCatalogService();
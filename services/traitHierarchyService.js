@@ -0,0 +1,138 @@
+// flag: tag inconsistent traits for review, resolve: add missing parents, off: skip the pass
+const HIERARCHY_MODES = ['flag', 'resolve', 'off'];
+
+/**
+ * Trait Hierarchy Service
+ * Builds the primary/secondary trait tree from parentTraits and checks classified traits against it
+ */
+class TraitHierarchyService {
+  constructor() {
+    const mode = (process.env.TRAIT_HIERARCHY_MODE || 'flag').toLowerCase();
+    this.mode = HIERARCHY_MODES.includes(mode) ? mode : 'flag';
+  }
+
+  /**
+   * Arrange the catalog as a tree of primaries and their secondaries
+   * A secondary with several parents appears under each of them
+   * @param {Object[]} catalog - Trait definitions
+   * @returns {{ tree: Object[], orphans: Object[] }}
+   */
+  buildTree(catalog) {
+    const byId = new Map(catalog.map(trait => [trait._id.toString(), trait]));
+    const summarize = (trait) => ({
+      _id: trait._id,
+      title: trait.title,
+      traitType: trait.traitType,
+      color: trait.color,
+      initialReactionEnabled: trait.initialReactionEnabled,
+      contextPromptEnabled: trait.contextPromptEnabled,
+      disabled: !!trait.disabled
+    });
+
+    const nodes = new Map();
+    for (const trait of catalog) {
+      if (!trait.parentTraits || trait.parentTraits.length === 0) {
+        nodes.set(trait._id.toString(), { ...summarize(trait), children: [] });
+      }
+    }
+
+    const orphans = [];
+    for (const trait of catalog) {
+      if (!trait.parentTraits || trait.parentTraits.length === 0) continue;
+
+      const parents = trait.parentTraits.map(id => nodes.get(String(id))).filter(Boolean);
+      if (parents.length === 0) {
+        orphans.push({
+          ...summarize(trait),
+          missingParents: trait.parentTraits.filter(id => !byId.has(String(id)))
+        });
+        continue;
+      }
+      for (const parent of parents) {
+        parent.children.push(summarize(trait));
+      }
+    }
+
+    return { tree: [...nodes.values()], orphans };
+  }
+
+  /**
+   * Check one section's classified traits against the hierarchy
+   * Only parents and children that were classified for the section are considered,
+   * e.g. Foresight isn't expected on a context prompt because it never runs there
+   * @param {string[]} presentTraits - Titles in the section's traits array
+   * @param {string[]} classifiedTraits - Titles classified for the section in this run
+   * @param {Object[]} catalog - Trait definitions
+   * @param {string} mode - One of HIERARCHY_MODES, defaults to the configured mode
+   * @returns {{ addTraits: string[], reviewTags: string[], entries: Object[] }}
+   */
+  evaluate(presentTraits, classifiedTraits, catalog, mode = this.mode) {
+    const result = { addTraits: [], reviewTags: [], entries: [] };
+    if (mode === 'off') return result;
+
+    const present = new Set(presentTraits);
+    const classified = new Set(classifiedTraits);
+    const byId = new Map(catalog.map(trait => [trait._id.toString(), trait]));
+    const timestamp = new Date();
+
+    // Parent titles per child, limited to parents classified in this section
+    const parentsOf = new Map();
+    const childrenOf = new Map();
+    for (const trait of catalog) {
+      const parents = (trait.parentTraits || [])
+        .map(id => byId.get(String(id)))
+        .filter(parent => parent && classified.has(parent.title))
+        .map(parent => parent.title);
+      if (parents.length === 0 || !classified.has(trait.title)) continue;
+
+      parentsOf.set(trait.title, parents);
+      for (const parent of parents) {
+        if (!childrenOf.has(parent)) childrenOf.set(parent, []);
+        childrenOf.get(parent).push(trait.title);
+      }
+    }
+
+    // Child present without any of its parents
+    for (const [child, parents] of parentsOf) {
+      if (!present.has(child) || parents.some(parent => present.has(parent))) continue;
+
+      if (mode === 'resolve') {
+        for (const parent of parents) {
+          if (!result.addTraits.includes(parent)) result.addTraits.push(parent);
+        }
+      } else if (!result.reviewTags.includes(child)) {
+        result.reviewTags.push(child);
+      }
+
+      result.entries.push({
+        rule: 'child_without_parent',
+        trait: child,
+        related: parents,
+        resolution: mode === 'resolve' ? 'parent_added' : 'flagged',
+        timestamp
+      });
+    }
+
+    // Parent present without any of its children; there's no safe automatic fix, so it's only flagged
+    for (const [parent, children] of childrenOf) {
+      if (!present.has(parent) || children.some(child => present.has(child))) continue;
+
+      if (mode === 'flag' && !result.reviewTags.includes(parent)) {
+        result.reviewTags.push(parent);
+      }
+
+      result.entries.push({
+        rule: 'parent_only',
+        trait: parent,
+        related: children,
+        resolution: mode === 'flag' ? 'flagged' : 'noted',
+        timestamp
+      });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new TraitHierarchyService();
+module.exports.HIERARCHY_MODES = HIERARCHY_MODES;
@@ -0,0 +1,159 @@
+const TraitRule = require('../models/TraitRule');
+const { traitRules: seedRules } = require('../traitRules');
+
+// Review tags added for violated rules, kept apart from the trait-title tags GenAI adds
+const CONFLICT_TAG_PREFIX = 'Conflict: ';
+
+const EDITABLE_FIELDS = ['name', 'type', 'description', 'traits', 'when', 'then', 'sections', 'enabled'];
+
+/**
+ * Trait Rule Service
+ * Loads the conflict rules with a short-lived cache and evaluates them against classified traits
+ */
+class TraitRuleService {
+  constructor() {
+    this.cacheTtlMs = Number(process.env.TRAIT_CACHE_TTL_MS) || 60000;
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Insert rules from traitRules.js that aren't in the collection yet; edits are never overwritten
+   */
+  async seed() {
+    const operations = seedRules.map(rule => ({
+      updateOne: {
+        filter: { name: rule.name },
+        update: { $setOnInsert: rule },
+        upsert: true
+      }
+    }));
+
+    const result = await TraitRule.bulkWrite(operations, { ordered: false });
+    this.invalidate();
+
+    if (result.upsertedCount > 0) {
+      console.log(`🌱 Seeded ${result.upsertedCount} trait rule(s) from traitRules.js`);
+    }
+    return result.upsertedCount;
+  }
+
+  invalidate() {
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  async getAll() {
+    if (this.cache && Date.now() - this.cachedAt < this.cacheTtlMs) {
+      return this.cache;
+    }
+
+    this.cache = await TraitRule.find().sort({ name: 1 }).lean();
+    this.cachedAt = Date.now();
+    return this.cache;
+  }
+
+  pickEditable(body) {
+    const update = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (body[field] !== undefined) {
+        update[field] = body[field];
+      }
+    }
+    return update;
+  }
+
+  /**
+   * Check a rule is well formed and only names traits from the catalog
+   * @returns {string|null} Error message, or null when valid
+   */
+  validate(rule, catalog) {
+    const titles = new Set(catalog.map(trait => trait.title));
+    let named;
+
+    if (rule.type === 'exclusive') {
+      if (!Array.isArray(rule.traits) || rule.traits.length < 2) {
+        return 'exclusive rules need at least two traits';
+      }
+      named = rule.traits;
+    } else if (rule.type === 'implies') {
+      if (!rule.when || !Array.isArray(rule.then) || rule.then.length === 0) {
+        return 'implies rules need a when trait and at least one then trait';
+      }
+      named = [rule.when, ...rule.then];
+    } else {
+      return 'type must be exclusive or implies';
+    }
+
+    const unknown = named.filter(title => !titles.has(title));
+    if (unknown.length > 0) {
+      return `Unknown trait(s): ${unknown.join(', ')}`;
+    }
+    return null;
+  }
+
+  async create(body) {
+    const rule = await TraitRule.create(this.pickEditable(body));
+    this.invalidate();
+    return rule.toObject();
+  }
+
+  async update(id, update) {
+    const rule = await TraitRule.findByIdAndUpdate(id, { $set: update }, { new: true, runValidators: true }).lean();
+    this.invalidate();
+    return rule;
+  }
+
+  async remove(id) {
+    const rule = await TraitRule.findByIdAndDelete(id).lean();
+    this.invalidate();
+    return rule;
+  }
+
+  /**
+   * Evaluate the enabled rules against one section's traits
+   * @param {string[]} presentTraits - Titles in the section's traits array
+   * @param {string} type - INITIAL_REACTION or CONTEXT_PROMPT
+   * @param {Object[]} rules - Rules to check, defaults to the cached collection
+   * @returns {Promise<{ reviewTags: string[], entries: Object[] }>}
+   */
+  async evaluate(presentTraits, type, rules = null) {
+    const present = new Set(presentTraits);
+    const result = { reviewTags: [], entries: [] };
+    const timestamp = new Date();
+
+    for (const rule of rules || await this.getAll()) {
+      if (!rule.enabled || !(rule.sections || []).includes(type)) continue;
+
+      let trait;
+      let related;
+      if (rule.type === 'exclusive') {
+        const found = rule.traits.filter(title => present.has(title));
+        if (found.length < 2) continue;
+        [trait, ...related] = found;
+      } else if (rule.type === 'implies') {
+        if (!present.has(rule.when)) continue;
+        related = rule.then.filter(title => !present.has(title));
+        if (related.length === 0) continue;
+        trait = rule.when;
+      } else {
+        continue;
+      }
+
+      result.reviewTags.push(`${CONFLICT_TAG_PREFIX}${rule.name}`);
+      result.entries.push({
+        rule: rule.type,
+        ruleName: rule.name,
+        trait,
+        related,
+        resolution: 'flagged',
+        timestamp
+      });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new TraitRuleService();
+module.exports.CONFLICT_TAG_PREFIX = CONFLICT_TAG_PREFIX;
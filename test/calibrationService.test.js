@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Trait = require('../models/Trait');
+const traitCatalogService = require('../services/traitCatalogService');
+const calibrationService = require('../services/calibrationService');
+
+// Rows as the aggregation projects them; the context prompt section keeps verdicts as booleans
+const rowsBySection = {
+  'initial_reaction.genAiRecords': [
+    { traitTitle: 'Curiosity', llmScore: 0, present: true, confidence: 0.9, verdict: 1 },
+    { traitTitle: 'Curiosity', llmScore: 1, present: false, confidence: 0.7, verdict: 1 },
+    { traitTitle: 'Curiosity', llmScore: 0, present: true, confidence: 0.6, verdict: null }
+  ],
+  'context_prompt.genAiRecords': [
+    { traitTitle: 'Curiosity', llmScore: 0, present: true, confidence: 0.95, verdict: true },
+    { traitTitle: 'Curiosity', llmScore: 1, present: false, confidence: 0.85, verdict: false }
+  ]
+};
+
+function mockSections(t) {
+  t.mock.method(traitCatalogService, 'getAll', async () => [{ title: 'Curiosity', confidence_thresholds: {} }]);
+  return t.mock.method(Trait, 'aggregate', async (pipeline) => {
+    const path = Object.keys(pipeline[0].$match).find(key => key.endsWith('.genAiRecords'));
+    return rowsBySection[path];
+  });
+}
+
+test('report counts context prompt reviews whose verdict is a boolean', async (t) => {
+  mockSections(t);
+
+  const report = await calibrationService.report({ type: 'CONTEXT_PROMPT', minSamples: 1 });
+
+  assert.equal(report.overall.reviewed, 2);
+  assert.equal(report.overall.accuracy, 1);
+  assert.equal(report.traits[0].trait, 'Curiosity');
+  assert.equal(report.traits[0].reviewed, 2);
+});
+
+test('report combines both sections and skips records without a verdict', async (t) => {
+  const aggregate = mockSections(t);
+
+  const report = await calibrationService.report({ minSamples: 1 });
+
+  assert.equal(aggregate.mock.callCount(), 2);
+  assert.equal(report.overall.reviewed, 4);
+  // Only the initial reaction answer at 0.7 is wrong, so overrides from 0.85 up stay precise
+  assert.equal(report.overall.accuracy, 0.75);
+  assert.equal(report.traits[0].suggested.threshold, 0.85);
+});
+
+test('reviewedSamples converts the stored verdict to a number in the pipeline', async (t) => {
+  const aggregate = mockSections(t);
+
+  await calibrationService.reviewedSamples({ type: 'CONTEXT_PROMPT' });
+
+  const pipeline = aggregate.mock.calls[0].arguments[0];
+  const { verdict } = pipeline.find(stage => stage.$project).$project;
+  assert.equal(verdict.$convert.to, 'int');
+});
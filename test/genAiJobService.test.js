@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GenAiJob = require('../models/GenAiJob');
+const genAiJobService = require('../services/genAiJobService');
+
+genAiJobService.maxAttempts = 3;
+genAiJobService.retryBaseMs = 1000;
+genAiJobService.retryMaxMs = 5000;
+genAiJobService.retentionMs = 3600000;
+
+const payload = {
+  item: { ID: '64b000000000000000000001' },
+  type: 'INITIAL_REACTION',
+  model_filename: 'foresight_model',
+  run_id: '64b0000000000000000000aa'
+};
+
+function runningJob(fields = {}) {
+  return { _id: 'job-1', attempts: 1, max_attempts: 3, payload, ...fields };
+}
+
+// Record the job updates instead of writing them
+function captureUpdates(t) {
+  const updates = [];
+  t.mock.method(GenAiJob, 'updateOne', async (filter, update) => {
+    updates.push({ filter, update });
+    return { modifiedCount: 1 };
+  });
+  return updates;
+}
+
+test('backoffDelay grows exponentially up to the cap with full jitter', (t) => {
+  t.mock.method(Math, 'random', () => 0.999999);
+  assert.equal(genAiJobService.backoffDelay(1), 999);
+  assert.equal(genAiJobService.backoffDelay(2), 1999);
+  assert.equal(genAiJobService.backoffDelay(3), 3999);
+  assert.equal(genAiJobService.backoffDelay(4), 4999);
+  assert.equal(genAiJobService.backoffDelay(10), 4999);
+
+  Math.random.mock.mockImplementation(() => 0);
+  assert.equal(genAiJobService.backoffDelay(3), 0);
+});
+
+test('taskKey keys per-trait and grouped tasks by reaction, section, trait and run', () => {
+  assert.equal(
+    genAiJobService.taskKey(payload),
+    '64b000000000000000000001:INITIAL_REACTION:foresight_model:64b0000000000000000000aa'
+  );
+  assert.equal(
+    genAiJobService.taskKey({ ...payload, predictions: [], model_filename: undefined }),
+    '64b000000000000000000001:INITIAL_REACTION:*:64b0000000000000000000aa'
+  );
+  assert.equal(
+    genAiJobService.taskKey({ document_id: 'doc', type: 'CONTEXT_PROMPT', model_filename: 'm' }),
+    'doc:CONTEXT_PROMPT:m:none'
+  );
+});
+
+test('enqueue returns the existing job for a redelivered task', async (t) => {
+  const existing = { _id: 'job-1', status: 'running' };
+  t.mock.method(GenAiJob, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  });
+  const findOne = t.mock.method(GenAiJob, 'findOne', () => ({ lean: async () => existing }));
+
+  const result = await genAiJobService.enqueue(payload);
+
+  assert.deepEqual(result, { job: existing, duplicate: true });
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { task_key: genAiJobService.taskKey(payload) });
+});
+
+test('enqueue only deduplicates tasks that belong to a run', async (t) => {
+  // Enqueueing wakes the poller, which would claim from the collection
+  const poll = t.mock.method(genAiJobService, 'poll', () => {});
+  const create = t.mock.method(GenAiJob, 'create', async (fields) => fields);
+
+  await genAiJobService.enqueue(payload);
+  await genAiJobService.enqueue({ ...payload, run_id: undefined, item: { ID: 'not-an-id' } });
+
+  const [withRun, withoutRun] = create.mock.calls.map(call => call.arguments[0]);
+  assert.equal(withRun.task_key, genAiJobService.taskKey(payload));
+  assert.equal(withRun.run_id, payload.run_id);
+  assert.equal(withoutRun.task_key, undefined);
+  assert.equal(withoutRun.run_id, null);
+  assert.equal(withoutRun.document_id, undefined);
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(poll.mock.callCount(), 2);
+});
+
+test('settle only updates the job while this instance still owns it', async (t) => {
+  const updates = captureUpdates(t);
+  await genAiJobService.settle(runningJob(), { success: true }, false);
+
+  assert.deepEqual(updates[0].filter, { _id: 'job-1', status: 'running', locked_by: genAiJobService.instance });
+  const { $set } = updates[0].update;
+  assert.equal($set.status, 'succeeded');
+  assert.equal($set.locked_by, null);
+  assert.equal($set.lease_expires_at, null);
+  assert.equal($set.expires_at - $set.finished_at, 3600000);
+});
+
+test('settle queues a retryable failure for another attempt after the backoff', async (t) => {
+  const updates = captureUpdates(t);
+  t.mock.method(Math, 'random', () => 0.5);
+  const narrowed = { ...payload, predictions: [] };
+
+  const before = Date.now();
+  await genAiJobService.settle(runningJob({ attempts: 2 }), { success: false, retryable: true, error: 'timeout', payload: narrowed }, false);
+
+  const { $set } = updates[0].update;
+  assert.equal($set.status, 'queued');
+  assert.equal($set.last_error, 'timeout');
+  assert.equal($set.payload, narrowed);
+  assert.ok($set.run_after.getTime() >= before + 1000);
+  assert.ok($set.run_after.getTime() <= Date.now() + 1000);
+});
+
+test('settle fails permanent failures and dead-letters the final retryable one', async (t) => {
+  const updates = captureUpdates(t);
+  t.mock.method(console, 'error', () => {});
+
+  await genAiJobService.settle(runningJob(), { success: false, retryable: false, error: 'Trait not found' }, false);
+  await genAiJobService.settle(runningJob({ attempts: 3 }), { success: false, retryable: true, error: 'timeout' }, true);
+
+  assert.equal(updates[0].update.$set.status, 'failed');
+  assert.equal(updates[0].update.$set.last_error, 'Trait not found');
+  assert.equal(updates[1].update.$set.status, 'dead_lettered');
+  assert.equal(updates[1].update.$set.last_error, 'timeout');
+});
+
+test('run tells the handler which attempt it is and settles its result', async (t) => {
+  const updates = captureUpdates(t);
+  const calls = [];
+  genAiJobService.handler = async (jobPayload, options) => {
+    calls.push({ jobPayload, options });
+    return { success: true };
+  };
+
+  await genAiJobService.run(runningJob({ attempts: 1 }));
+  await genAiJobService.run(runningJob({ attempts: 3 }));
+
+  assert.deepEqual(calls.map(call => call.options), [{ attempt: 1, final: false }, { attempt: 3, final: true }]);
+  assert.equal(calls[0].jobPayload, payload);
+  assert.deepEqual(updates.map(update => update.update.$set.status), ['succeeded', 'succeeded']);
+});
+
+test('run retries a handler that throws, then fails its validations and dead-letters it on the last attempt', async (t) => {
+  const updates = captureUpdates(t);
+  t.mock.method(console, 'error', () => {});
+  const abandon = t.mock.fn(async () => {});
+  genAiJobService.handler = async () => {
+    throw new Error('socket hang up');
+  };
+  genAiJobService.abandon = abandon;
+
+  await genAiJobService.run(runningJob({ attempts: 2 }));
+  assert.equal(abandon.mock.callCount(), 0);
+  await genAiJobService.run(runningJob({ attempts: 3 }));
+
+  assert.deepEqual(abandon.mock.calls.map(call => call.arguments), [[payload, 'socket hang up']]);
+  assert.equal(updates[0].update.$set.status, 'queued');
+  assert.equal(updates[0].update.$set.last_error, 'socket hang up');
+  assert.equal(updates[1].update.$set.status, 'dead_lettered');
+});
+
+test('run fails the validations of a job whose last attempt lost its lease', async (t) => {
+  const updates = captureUpdates(t);
+  t.mock.method(console, 'error', () => {});
+  const handler = t.mock.fn(async () => ({ success: true }));
+  const abandon = t.mock.fn(async () => {});
+  genAiJobService.handler = handler;
+  genAiJobService.abandon = abandon;
+
+  await genAiJobService.run(runningJob({ attempts: 4, last_error: 'timeout' }));
+  await genAiJobService.run(runningJob({ attempts: 4 }));
+
+  assert.equal(handler.mock.callCount(), 0);
+  assert.deepEqual(abandon.mock.calls.map(call => call.arguments), [
+    [payload, 'timeout'],
+    [payload, 'Lease expired on the last attempt']
+  ]);
+  assert.deepEqual(updates.map(update => update.update.$set.status), ['dead_lettered', 'dead_lettered']);
+});
+
+test('run still dead-letters an abandoned job when failing its validations throws', async (t) => {
+  const updates = captureUpdates(t);
+  t.mock.method(console, 'error', () => {});
+  genAiJobService.abandon = async () => {
+    throw new Error('connection closed');
+  };
+
+  await genAiJobService.run(runningJob({ attempts: 4 }));
+
+  assert.equal(updates[0].update.$set.status, 'dead_lettered');
+});
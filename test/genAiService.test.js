@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const genAiService = require('../services/genAiService');
+
+test('a limiter failure during a half-open trial leaves the breaker able to try again', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'log', () => {});
+  const { breaker, limiter } = genAiService;
+  breaker.state = 'open';
+  breaker.failures = breaker.failureThreshold;
+  breaker.openedAt = Date.now() - breaker.cooldownMs;
+
+  const acquire = t.mock.method(limiter, 'acquire', async () => {
+    throw Object.assign(new Error('Timed out waiting for a classify slot'), { code: 'ELIMITERTIMEOUT' });
+  });
+  t.mock.method(limiter, 'releaseSlot', async () => {});
+  const call = t.mock.fn(async () => ({ present: true }));
+
+  const limited = await genAiService.callProvider(call);
+  assert.equal(limited.limited, true);
+  assert.equal(limited.circuitOpen, undefined);
+  assert.equal(call.mock.callCount(), 0);
+  assert.equal(breaker.state, 'half_open');
+  assert.equal(breaker.trialInFlight, false);
+
+  acquire.mock.mockImplementation(async () => ({ slot: 0 }));
+  const result = await genAiService.callProvider(call);
+  assert.equal(result.success, true);
+  assert.deepEqual(result.data, { present: true });
+  assert.equal(breaker.state, 'closed');
+});
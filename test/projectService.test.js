@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Project = require('../models/Project');
+const Concept = require('../models/Concept');
+const projectService = require('../services/projectService');
+
+test('adoptDescription makes a changed submitted description the current one', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const updateOne = t.mock.method(Concept, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const concept = { _id: 'c1', name: 'Spicy crisps', description: 'Old text' };
+
+  const updated = await projectService.adoptDescription(Concept, concept, 'Corrected text');
+
+  assert.equal(updated.description, 'Corrected text');
+  assert.equal(concept.description, 'Old text');
+  assert.deepEqual(updateOne.mock.calls[0].arguments, [{ _id: 'c1' }, { $set: { description: 'Corrected text' } }]);
+});
+
+test('adoptDescription keeps the stored description when none or the same is submitted', async (t) => {
+  const updateOne = t.mock.method(Project, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const project = { _id: 'p1', description: 'Snacks' };
+
+  assert.equal(await projectService.adoptDescription(Project, project, ''), project);
+  assert.equal(await projectService.adoptDescription(Project, project, 'Snacks'), project);
+  assert.equal(await projectService.adoptDescription(Project, null, 'Snacks'), null);
+  assert.equal(updateOne.mock.callCount(), 0);
+});
+
+test('contextInputs prefers entity descriptions over text copied onto the document', async (t) => {
+  t.mock.method(Project, 'findById', () => ({ select: () => ({ lean: async () => ({ description: 'Project entity' }) }) }));
+  t.mock.method(Concept, 'findById', () => ({ select: () => ({ lean: async () => ({ description: '' }) }) }));
+
+  const inputs = await projectService.contextInputs({
+    project_id: '64b000000000000000000001',
+    project_input: 'Stale project copy',
+    concept_id: '64b000000000000000000002',
+    concept_input: 'Concept copy'
+  });
+
+  assert.deepEqual(inputs, { projectInput: 'Project entity', conceptInput: 'Concept copy' });
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const responseValidator = require('../services/responseValidator');
+
+test('validate accepts a well-formed response as is', () => {
+  const result = responseValidator.validate({ present: true, confidence: 0.82, rationale: 'Says they would buy it', score: 4 });
+  assert.deepEqual(result, {
+    valid: true,
+    response: { present: true, confidence: 0.82, rationale: 'Says they would buy it', score: 4 },
+    normalized: []
+  });
+});
+
+test('validate normalizes unambiguous variants', () => {
+  const result = responseValidator.validate({ present: ' TRUE ', confidence: '0.5', score: '3' });
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.response, { present: true, confidence: 0.5, rationale: '', score: 3 });
+  assert.deepEqual(result.normalized, ['present parsed from string', 'confidence parsed from string']);
+
+  const numeric = responseValidator.validate({ present: 0, confidence: 1 });
+  assert.equal(numeric.response.present, false);
+  assert.equal(numeric.response.confidence, 1);
+  assert.equal(numeric.response.score, undefined);
+});
+
+test('validate reads whole numbers above 1 as percentages', () => {
+  const result = responseValidator.validate({ present: true, confidence: 85 });
+  assert.equal(result.valid, true);
+  assert.equal(result.response.confidence, 0.85);
+  assert.deepEqual(result.normalized, ['confidence converted from percent']);
+
+  assert.equal(responseValidator.validate({ present: true, confidence: '100' }).response.confidence, 1);
+});
+
+test('validate rejects confidences that are neither a probability nor a percentage', () => {
+  for (const confidence of [1.5, 85.5, 101, -0.1]) {
+    const result = responseValidator.validate({ present: true, confidence });
+    assert.equal(result.valid, false, `confidence ${confidence}`);
+    assert.deepEqual(result.errors, [`confidence must be between 0 and 1, got ${confidence}`]);
+  }
+});
+
+test('validate reports every problem with a malformed response', () => {
+  const result = responseValidator.validate({ present: 'maybe', confidence: 'high', rationale: 3, score: 'lots' });
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors, [
+    'present must be a boolean, got "maybe"',
+    'confidence must be a number, got "high"',
+    'rationale must be a string',
+    'score must be a number, got "lots"'
+  ]);
+});
+
+test('validate rejects answers that are not objects', () => {
+  for (const raw of [null, 'true', [true, 0.9]]) {
+    assert.deepEqual(responseValidator.validate(raw), { valid: false, errors: ['response must be an object'] });
+  }
+});
+
+test('capture stores the raw answer as JSON text', () => {
+  assert.equal(responseValidator.capture({ present: 'yes' }), '{"present":"yes"}');
+  assert.equal(responseValidator.capture('plain text'), '"plain text"');
+  assert.equal(responseValidator.capture(null), 'null');
+  assert.equal(responseValidator.capture(undefined), null);
+});
+
+test('capture truncates large answers', () => {
+  const captured = responseValidator.capture({ rationale: 'x'.repeat(5000) });
+  assert.equal(captured.length, 2001);
+  assert.ok(captured.startsWith('{"rationale":"xxx'));
+  assert.ok(captured.endsWith('…'));
+});
+
+test('capture falls back to text for answers JSON cannot represent', () => {
+  const circular = {};
+  circular.self = circular;
+  assert.equal(responseValidator.capture(circular), '[object Object]');
+});
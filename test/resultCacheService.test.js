@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const resultCacheService = require('../services/resultCacheService');
+
+const provider = { name: 'http', cacheScope: 'https://classifier.example/classify#model-a' };
+const payload = {
+  text: 'Looks  tasty,\n would try ',
+  trait: 'Expressed Intent',
+  trait_definition: 'Says they would buy or try it',
+  version: 3
+};
+
+test('key is a stable hash of the payload', () => {
+  const key = resultCacheService.key(payload, provider);
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.equal(resultCacheService.key({ ...payload }, { ...provider }), key);
+});
+
+test('key ignores whitespace differences in the reaction', () => {
+  assert.equal(
+    resultCacheService.key({ ...payload, text: 'Looks tasty, would try' }, provider),
+    resultCacheService.key(payload, provider)
+  );
+});
+
+test('key changes with anything that can change the answer', () => {
+  const key = resultCacheService.key(payload, provider);
+  const variants = [
+    { ...payload, text: 'Looks tasty, would not try' },
+    { ...payload, trait: 'Outright Rejection' },
+    { ...payload, trait_definition: 'Says they would buy it' },
+    { ...payload, trait_examples: 'I would buy this' },
+    { ...payload, version: 4 },
+    { ...payload, project_input: 'Snacks' },
+    { ...payload, concept_input: 'Spicy crisps' }
+  ];
+  for (const variant of variants) {
+    assert.notEqual(resultCacheService.key(variant, provider), key);
+  }
+});
+
+test('key keeps answers from different classifiers apart', () => {
+  const key = resultCacheService.key(payload, provider);
+  assert.notEqual(resultCacheService.key(payload, { ...provider, name: 'local' }), key);
+  assert.notEqual(
+    resultCacheService.key(payload, { ...provider, cacheScope: 'https://classifier.example/classify#model-b' }),
+    key
+  );
+  assert.notEqual(
+    resultCacheService.key(payload, { ...provider, cacheScope: 'https://other.example/classify#model-a' }),
+    key
+  );
+  assert.notEqual(resultCacheService.key(payload, { name: 'http' }), key);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const spreadsheetService = require('../services/spreadsheetService');
+
+async function collect(rows) {
+  const result = [];
+  for await (const row of rows) {
+    result.push(row);
+  }
+  return result;
+}
+
+async function xlsxBuffer(rows) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Reactions');
+  rows.forEach(row => worksheet.addRow(row));
+  workbook.addWorksheet('Notes').addRow(['ignored']);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+test('detectFormat prefers the extension over the mimetype', () => {
+  assert.equal(spreadsheetService.detectFormat('batch.CSV', 'application/vnd.ms-excel'), 'csv');
+  assert.equal(spreadsheetService.detectFormat('batch.xlsx', 'text/csv'), 'xlsx');
+  assert.equal(spreadsheetService.detectFormat('legacy.xls', 'application/vnd.ms-excel'), 'xls');
+  assert.equal(spreadsheetService.detectFormat('notes.txt', 'text/csv'), null);
+});
+
+test('detectFormat falls back to the mimetype when the name has no extension', () => {
+  assert.equal(spreadsheetService.detectFormat('upload', 'text/csv'), 'csv');
+  assert.equal(
+    spreadsheetService.detectFormat('upload', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'),
+    'xlsx'
+  );
+  assert.equal(spreadsheetService.detectFormat('upload', 'application/vnd.ms-excel'), null);
+});
+
+test('parseColumnMap accepts JSON and rejects unknown fields', () => {
+  assert.deepEqual(spreadsheetService.parseColumnMap(''), {});
+  assert.deepEqual(
+    spreadsheetService.parseColumnMap('{"initial_reaction":"Q1 Response"}'),
+    { initial_reaction: 'Q1 Response' }
+  );
+  assert.throws(() => spreadsheetService.parseColumnMap('{"score":"Score"}'), /Unknown column_map field: score/);
+  assert.throws(() => spreadsheetService.parseColumnMap('["initial_reaction"]'), /must be an object/);
+});
+
+test('resolveColumns matches headers case-insensitively and reports missing mapped columns', () => {
+  const headers = [' Hunch_ID ', 'Concept_Name', 'Q1 Response'];
+  assert.deepEqual(
+    spreadsheetService.resolveColumns(headers, { initial_reaction: 'q1 response' }),
+    { hunch_id: 0, concept_name: 1, initial_reaction: 2 }
+  );
+  assert.throws(
+    () => spreadsheetService.resolveColumns(headers, { context_prompt: 'Q2 Response' }),
+    /Column "Q2 Response" mapped to context_prompt not found in file/
+  );
+});
+
+test('readRows maps CSV rows from a buffer', async () => {
+  const csv = '\uFEFFhunch_id,Q1,context_prompt\nh1,"Loved it, really",\nh2,Meh,Too sweet\n\n';
+  const rows = await collect(spreadsheetService.readRows(Buffer.from(csv), {
+    format: 'csv',
+    columnMap: { initial_reaction: 'Q1' }
+  }));
+
+  assert.deepEqual(rows, [
+    { hunch_id: 'h1', initial_reaction: 'Loved it, really', context_prompt: '' },
+    { hunch_id: 'h2', initial_reaction: 'Meh', context_prompt: 'Too sweet' }
+  ]);
+});
+
+test('readRows maps CSV rows from a stream', async () => {
+  const source = Readable.from(['initial_reaction\n', 'First\nSec', 'ond\n']);
+  const rows = await collect(spreadsheetService.readRows(source, { format: 'csv' }));
+  assert.deepEqual(rows, [{ initial_reaction: 'First' }, { initial_reaction: 'Second' }]);
+});
+
+test('readRows reads the first worksheet of an XLSX file', async () => {
+  const buffer = await xlsxBuffer([
+    ['hunch_id', 'Reaction'],
+    ['h1', 'Crisp'],
+    [42, { richText: [{ text: 'Bold ' }, { text: 'taste' }] }]
+  ]);
+
+  const rows = await collect(spreadsheetService.readRows(Readable.from([buffer]), {
+    format: 'xlsx',
+    columnMap: { initial_reaction: 'Reaction' }
+  }));
+  assert.deepEqual(rows, [
+    { hunch_id: 'h1', initial_reaction: 'Crisp' },
+    { hunch_id: '42', initial_reaction: 'Bold taste' }
+  ]);
+});
+
+test('readRows flags unreadable files as invalidFile', async () => {
+  await assert.rejects(
+    collect(spreadsheetService.readRows(Buffer.from('a,b\n'), { format: 'xls' })),
+    error => error.invalidFile === true && /Unsupported file format: xls/.test(error.message)
+  );
+  await assert.rejects(
+    collect(spreadsheetService.readRows(Buffer.from('a\n"unterminated\n'), { format: 'csv' })),
+    error => error.invalidFile === true
+  );
+});
+
+test('readRows stops an XLSX read when the source fails', async () => {
+  const buffer = await xlsxBuffer([['initial_reaction'], ['Crisp']]);
+  const source = new Readable({ read() {} });
+  source.push(buffer.subarray(0, 100));
+  setImmediate(() => source.destroy(new Error('file is larger than 50MB')));
+
+  await assert.rejects(
+    collect(spreadsheetService.readRows(source, { format: 'xlsx' })),
+    error => error.invalidFile === true && error.message === 'file is larger than 50MB'
+  );
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TraitDefinition = require('../models/TraitDefinition');
+const TraitDefinitionVersion = require('../models/TraitDefinitionVersion');
+const traitCatalogService = require('../services/traitCatalogService');
+
+const leanResult = (value) => ({ lean: async () => value });
+
+// Serve reads of one stored trait and apply findOneAndUpdate only when its filter matches
+function storeTrait(t, stored) {
+  t.mock.method(TraitDefinition, 'findById', () => leanResult(stored));
+  const findOneAndUpdate = t.mock.method(TraitDefinition, 'findOneAndUpdate', (filter, update) => {
+    const matches = filter.version === null ? stored.version == null : filter.version === stored.version;
+    return leanResult(matches ? { ...stored, ...update.$set } : null);
+  });
+  const create = t.mock.method(TraitDefinitionVersion, 'create', async (snapshot) => ({ toObject: () => snapshot }));
+  return { findOneAndUpdate, create };
+}
+
+test('applyUpdate bumps the version and snapshots the changed fields', async (t) => {
+  const { findOneAndUpdate, create } = storeTrait(t, { _id: 't1', title: 'Hope', trait_definition: 'Old', version: 3 });
+
+  const trait = await traitCatalogService.applyUpdate('t1', { trait_definition: 'New', color: undefined });
+
+  assert.equal(trait.version, 4);
+  assert.equal(trait.trait_definition, 'New');
+  assert.deepEqual(findOneAndUpdate.mock.calls[0].arguments[0], { _id: 't1', version: 3 });
+  assert.equal(create.mock.calls[0].arguments[0].version, 4);
+  assert.deepEqual(create.mock.calls[0].arguments[0].changed_fields, ['trait_definition']);
+});
+
+test('applyUpdate edits a trait stored before versioning as version 1', async (t) => {
+  storeTrait(t, { _id: 't1', title: 'Hope', trait_definition: 'Old' });
+
+  const trait = await traitCatalogService.applyUpdate('t1', { trait_definition: 'New' }, 1);
+
+  assert.equal(trait.version, 2);
+  assert.equal(trait.trait_definition, 'New');
+});
+
+test('applyUpdate rejects edits computed from another version', async (t) => {
+  const { findOneAndUpdate } = storeTrait(t, { _id: 't1', trait_definition: 'Old', version: 2 });
+
+  await assert.rejects(
+    traitCatalogService.applyUpdate('t1', { trait_definition: 'New' }, 1),
+    error => error.status === 409
+  );
+  assert.equal(findOneAndUpdate.mock.callCount(), 0);
+});
+
+test('applyUpdate leaves the version alone when nothing changes', async (t) => {
+  const { findOneAndUpdate } = storeTrait(t, { _id: 't1', trait_definition: 'Same', version: 2 });
+
+  const trait = await traitCatalogService.applyUpdate('t1', { trait_definition: 'Same' });
+
+  assert.equal(trait.version, 2);
+  assert.equal(findOneAndUpdate.mock.callCount(), 0);
+});
+
+test('ensureVersions gives unversioned traits version 1 and snapshots them', async (t) => {
+  const updateMany = t.mock.method(TraitDefinition, 'updateMany', async () => ({ modifiedCount: 1 }));
+  t.mock.method(TraitDefinition, 'find', () => leanResult([{ _id: 't1', title: 'Hope', version: 1 }, { _id: 't2', title: 'Calm', version: 2 }]));
+  t.mock.method(TraitDefinitionVersion, 'distinct', async () => ['t2']);
+  const create = t.mock.method(TraitDefinitionVersion, 'create', async (snapshot) => ({ toObject: () => snapshot }));
+
+  await traitCatalogService.ensureVersions();
+
+  assert.deepEqual(updateMany.mock.calls[0].arguments, [{ version: null }, { $set: { version: 1 } }]);
+  assert.equal(create.mock.callCount(), 1);
+  assert.equal(create.mock.calls[0].arguments[0].trait_id, 't1');
+  assert.equal(create.mock.calls[0].arguments[0].version, 1);
+});
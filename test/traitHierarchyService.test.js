@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const traitHierarchyService = require('../services/traitHierarchyService');
+
+// Optimism is a primary with Foresight and Hope under it; Hope also sits under Warmth
+const catalog = [
+  { _id: 'p1', title: 'Optimism', traitType: 'primary' },
+  { _id: 'p2', title: 'Warmth', traitType: 'primary', disabled: true },
+  { _id: 's1', title: 'Foresight', traitType: 'secondary', parentTraits: ['p1'] },
+  { _id: 's2', title: 'Hope', traitType: 'secondary', parentTraits: ['p1', 'p2'] },
+  { _id: 's3', title: 'Stray', traitType: 'secondary', parentTraits: ['gone'] }
+];
+
+const titles = nodes => nodes.map(node => node.title);
+
+test('buildTree nests secondaries under each of their parents', () => {
+  const { tree, orphans } = traitHierarchyService.buildTree(catalog);
+
+  assert.deepEqual(titles(tree), ['Optimism', 'Warmth']);
+  assert.deepEqual(titles(tree[0].children), ['Foresight', 'Hope']);
+  assert.deepEqual(titles(tree[1].children), ['Hope']);
+  assert.equal(tree[1].disabled, true);
+  assert.equal(tree[0].disabled, false);
+
+  assert.equal(orphans.length, 1);
+  assert.equal(orphans[0].title, 'Stray');
+  assert.deepEqual(orphans[0].missingParents, ['gone']);
+});
+
+test('evaluate flags a child present without its parent', () => {
+  const result = traitHierarchyService.evaluate(['Foresight'], ['Optimism', 'Foresight'], catalog, 'flag');
+
+  assert.deepEqual(result.addTraits, []);
+  assert.deepEqual(result.reviewTags, ['Foresight']);
+  assert.equal(result.entries.length, 1);
+  assert.equal(result.entries[0].rule, 'child_without_parent');
+  assert.deepEqual(result.entries[0].related, ['Optimism']);
+  assert.equal(result.entries[0].resolution, 'flagged');
+});
+
+test('evaluate adds the missing parents in resolve mode', () => {
+  const result = traitHierarchyService.evaluate(['Hope'], ['Optimism', 'Warmth', 'Hope'], catalog, 'resolve');
+
+  assert.deepEqual(result.addTraits, ['Optimism', 'Warmth']);
+  assert.deepEqual(result.reviewTags, []);
+  assert.equal(result.entries[0].resolution, 'parent_added');
+});
+
+test('evaluate flags a parent present without any classified child', () => {
+  const flagged = traitHierarchyService.evaluate(['Optimism'], ['Optimism', 'Foresight', 'Hope'], catalog, 'flag');
+  assert.deepEqual(flagged.reviewTags, ['Optimism']);
+  assert.equal(flagged.entries[0].rule, 'parent_only');
+  assert.deepEqual(flagged.entries[0].related, ['Foresight', 'Hope']);
+
+  // Resolve mode has no safe fix for this, so it only notes it
+  const resolved = traitHierarchyService.evaluate(['Optimism'], ['Optimism', 'Foresight'], catalog, 'resolve');
+  assert.deepEqual(resolved.addTraits, []);
+  assert.deepEqual(resolved.reviewTags, []);
+  assert.equal(resolved.entries[0].resolution, 'noted');
+});
+
+test('evaluate ignores relations to traits not classified for the section', () => {
+  // Optimism never ran on this section, so Foresight alone is consistent
+  const result = traitHierarchyService.evaluate(['Foresight'], ['Foresight'], catalog, 'flag');
+  assert.deepEqual(result, { addTraits: [], reviewTags: [], entries: [] });
+});
+
+test('evaluate does nothing when consistent or off', () => {
+  const consistent = traitHierarchyService.evaluate(['Optimism', 'Hope'], ['Optimism', 'Hope'], catalog, 'flag');
+  assert.deepEqual(consistent.entries, []);
+
+  const off = traitHierarchyService.evaluate(['Foresight'], ['Optimism', 'Foresight'], catalog, 'off');
+  assert.deepEqual(off, { addTraits: [], reviewTags: [], entries: [] });
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const traitRuleService = require('../services/traitRuleService');
+const { CONFLICT_TAG_PREFIX } = require('../services/traitRuleService');
+
+const catalog = [{ title: 'Calm' }, { title: 'Anxious' }, { title: 'Curious' }, { title: 'Engaged' }];
+
+const rules = [
+  {
+    name: 'calm-vs-anxious',
+    type: 'exclusive',
+    traits: ['Calm', 'Anxious'],
+    sections: ['INITIAL_REACTION', 'CONTEXT_PROMPT'],
+    enabled: true
+  },
+  {
+    name: 'curious-implies-engaged',
+    type: 'implies',
+    when: 'Curious',
+    then: ['Engaged'],
+    sections: ['INITIAL_REACTION'],
+    enabled: true
+  },
+  {
+    name: 'disabled-rule',
+    type: 'exclusive',
+    traits: ['Calm', 'Curious'],
+    sections: ['INITIAL_REACTION'],
+    enabled: false
+  }
+];
+
+test('validate checks the rule shape and that it names catalog traits', () => {
+  assert.equal(traitRuleService.validate(rules[0], catalog), null);
+  assert.equal(traitRuleService.validate(rules[1], catalog), null);
+
+  assert.match(traitRuleService.validate({ type: 'exclusive', traits: ['Calm'] }, catalog), /at least two traits/);
+  assert.match(traitRuleService.validate({ type: 'implies', when: 'Calm', then: [] }, catalog), /when trait/);
+  assert.match(traitRuleService.validate({ type: 'excludes' }, catalog), /type must be exclusive or implies/);
+  assert.equal(
+    traitRuleService.validate({ type: 'implies', when: 'Calm', then: ['Bored', 'Sleepy'] }, catalog),
+    'Unknown trait(s): Bored, Sleepy'
+  );
+});
+
+test('pickEditable keeps only editable fields', () => {
+  assert.deepEqual(
+    traitRuleService.pickEditable({ name: 'x', enabled: false, _id: 'abc', createdAt: 'now' }),
+    { name: 'x', enabled: false }
+  );
+});
+
+test('evaluate flags traits an exclusive rule keeps apart', async () => {
+  const result = await traitRuleService.evaluate(['Anxious', 'Calm'], 'CONTEXT_PROMPT', rules);
+
+  assert.deepEqual(result.reviewTags, [`${CONFLICT_TAG_PREFIX}calm-vs-anxious`]);
+  assert.equal(result.entries.length, 1);
+  assert.equal(result.entries[0].rule, 'exclusive');
+  assert.equal(result.entries[0].trait, 'Calm');
+  assert.deepEqual(result.entries[0].related, ['Anxious']);
+  assert.equal(result.entries[0].resolution, 'flagged');
+});
+
+test('evaluate flags an implies rule whose consequences are missing', async () => {
+  const violated = await traitRuleService.evaluate(['Curious'], 'INITIAL_REACTION', rules);
+  assert.deepEqual(violated.reviewTags, [`${CONFLICT_TAG_PREFIX}curious-implies-engaged`]);
+  assert.equal(violated.entries[0].trait, 'Curious');
+  assert.deepEqual(violated.entries[0].related, ['Engaged']);
+
+  const satisfied = await traitRuleService.evaluate(['Curious', 'Engaged'], 'INITIAL_REACTION', rules);
+  assert.deepEqual(satisfied.entries, []);
+});
+
+test('evaluate skips disabled rules and rules for other sections', async () => {
+  // Only the disabled rule matches Calm with Curious, and the implies rule doesn't run on context prompts
+  const result = await traitRuleService.evaluate(['Calm', 'Curious'], 'CONTEXT_PROMPT', rules);
+  assert.deepEqual(result, { reviewTags: [], entries: [] });
+});
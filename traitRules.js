@@ -0,0 +1,18 @@
+// Default methodology rules, seeded into the trait_rules collection on startup.
+// Combinations that are legitimately polarized (e.g. Positivity with Negativity) simply have no rule.
+const traitRules = [
+    {
+        "name": "Blah vs Emotive Delight",
+        "type": "exclusive",
+        "description": "A reaction can't be both flat and emotionally delighted.",
+        "traits": ["Blah", "Emotive Delight"]
+    },
+    {
+        "name": "Outright Rejection vs Expressed Intent",
+        "type": "exclusive",
+        "description": "Rejecting the concept outright contradicts expressing intent to try, buy or use it.",
+        "traits": ["(NOT FOR ME) Outright Rejection", "(FORESIGHT) Expressed Intent"]
+    }
+]
+
+module.exports = { traitRules };